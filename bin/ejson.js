@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+import * as fs from 'node:fs/promises'
+import {isDeepStrictEqual, parseArgs} from 'node:util'
+import {formatOf} from '../lib/formats.js'
+import {
+  defaultConfig,
+  describeEjson,
+  encryptEjson,
+  generateKeyPair,
+  getDocumentPrivateKey,
+  processEjson,
+  rotateKeys,
+  writeKeyPair
+} from '../ejson.js'
+
+const usage = `Usage: ejson <command> [options]
+
+Commands:
+  encrypt <file>      Encrypt plaintext values in the file in place
+  decrypt <file>      Print the decrypted file to stdout
+  keygen              Generate a new key pair
+  inspect <file>      Show which values are encrypted, without decrypting
+  rotate <file>       Re-encrypt the file in place to the public keys given with --public-key
+
+Options:
+  -k, --keydir <dir>  Directory holding private keys (default: ${defaultConfig.keysDir})
+  -w, --write         keygen: write the private key to the key directory
+  -p, --public-key    rotate: a new public key, repeat for several recipients
+  -h, --help          Show this help
+`
+
+const getPath = (doc, keyPath) => keyPath.reduce((value, key) => value?.[key], doc)
+
+const requireFile = (file) => {
+  if (!file) {
+    throw new Error('missing file argument')
+  }
+  return file
+}
+
+const writeFileAtomic = async (file, data) => {
+  const {mode} = await fs.stat(file)
+  const tempFile = `${file}.${process.pid}.tmp`
+  try {
+    await fs.writeFile(tempFile, data, {mode})
+    await fs.rename(tempFile, file)
+  } catch (e) {
+    await fs.rm(tempFile, {force: true})
+    throw e
+  }
+}
+
+// Keeps the file's formatting and comments when only string values changed, otherwise reformats it.
+const serialize = (text, doc, format) => {
+  const rewritten = format.rewriteStrings(text, (keyPath) => getPath(doc, keyPath))
+  if (isDeepStrictEqual(format.parse(rewritten), doc)) {
+    return rewritten
+  }
+  return format.stringify(doc, text)
+}
+
+const rewriteFile = async (file, transform) => {
+  const text = await fs.readFile(requireFile(file), 'utf8')
+  const format = formatOf(file)
+  const doc = await transform(format.parse(text))
+  await writeFileAtomic(file, serialize(text, doc, format))
+}
+
+const describeField = (field) => {
+  if (field.kind === 'encrypted') {
+    const recipients = field.recipients > 1 ? ` recipients=${field.recipients}` : ''
+    return `encrypted v${field.schemaVersion} encrypter=${field.encrypterPublic}${recipients}`
+  } else if (field.kind === 'invalid') {
+    return `invalid (${field.reason})`
+  }
+  return `${field.kind} ${field.type}`
+}
+
+const commands = {
+  encrypt: async ([file]) => {
+    await rewriteFile(file, (doc) => encryptEjson(doc))
+  },
+  rotate: async ([file], options) => {
+    if (!options['public-key']) {
+      throw new Error('missing --public-key')
+    }
+    const newPublicKeys = options['public-key']
+    await rewriteFile(file, async (doc) => {
+      const {privateKey: oldPrivateKey} = await getDocumentPrivateKey(doc, {keysDir: options.keydir})
+      return newPublicKeys.length === 1
+        ? rotateKeys(doc, {oldPrivateKey, newPublicKey: newPublicKeys[0]})
+        : rotateKeys(doc, {oldPrivateKey, newPublicKeys})
+    })
+  },
+  // Prints the file with its encrypted values replaced, without the keys that processEjson adds.
+  decrypt: async ([file], options) => {
+    const text = await fs.readFile(requireFile(file), 'utf8')
+    const format = formatOf(file)
+    const config = await processEjson({configJson: format.parse(text), keysDir: options.keydir})
+    process.stdout.write(format.rewriteStrings(text, (keyPath) => getPath(config, keyPath)))
+  },
+  inspect: async ([file]) => {
+    const description = await describeEjson(requireFile(file))
+    const lines = [
+      `Public keys: ${description.publicKeys.join(', ') || '(none)'}`,
+      ...description.fields.map((field) => `${field.path}: ${describeField(field)}`)
+    ]
+    process.stdout.write(lines.join('\n') + '\n')
+  },
+  keygen: async (args, options) => {
+    if (options.write) {
+      const {publicKey} = await writeKeyPair({keysDir: options.keydir})
+      process.stdout.write(publicKey + '\n')
+    } else {
+      const {publicKey, privateKey} = generateKeyPair()
+      process.stdout.write(`Public Key:\n${publicKey}\nPrivate Key:\n${privateKey}\n`)
+    }
+  }
+}
+
+const main = async () => {
+  const {values, positionals} = parseArgs({
+    allowPositionals: true,
+    options: {
+      keydir: {type: 'string', short: 'k', default: defaultConfig.keysDir},
+      write: {type: 'boolean', short: 'w'},
+      'public-key': {type: 'string', short: 'p', multiple: true},
+      help: {type: 'boolean', short: 'h'}
+    }
+  })
+  const [command, ...args] = positionals
+  if (values.help) {
+    process.stdout.write(usage)
+  } else if (!commands[command]) {
+    process.stderr.write(usage)
+    process.exitCode = 1
+  } else {
+    await commands[command](args, values)
+  }
+}
+
+main().catch((e) => {
+  process.stderr.write(`ejson: ${e.message}\n`)
+  process.exitCode = 1
+})
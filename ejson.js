@@ -1,17 +1,72 @@
 import nacl from './lib/nacl-fast.js'
 import * as fs from 'node:fs/promises'
+import {readFileSync} from 'node:fs'
+import * as path from 'node:path'
+import {randomBytes} from 'node:crypto'
+import {Transform} from 'node:stream'
+import {StringDecoder} from 'node:string_decoder'
+import {
+  EjsonAggregateError,
+  EjsonDecryptionError,
+  EjsonKeyMismatchError,
+  EjsonKeyNotFoundError,
+  EjsonParseError,
+  EjsonPolicyError,
+  EjsonSchemaError
+} from './lib/errors.js'
+import {lruCache} from './lib/lru.js'
+import {joinPath, matchesAnyPath} from './lib/paths.js'
+import {runAsync, runSync} from './lib/run.js'
+import {validateSchema} from './lib/schema.js'
+import {derivePublicKey} from './lib/keys.js'
+import {reveal, Secret} from './lib/secret.js'
+import {diffPaths, watchFiles} from './lib/watch.js'
+import {defaultKeyProviders, getKeyFromProviders, getKeyFromProvidersSync} from './lib/key-providers.js'
+import {selectBackend} from './lib/box.js'
+import {runInWorkers} from './lib/workers.js'
+import {createRecordSplitter} from './lib/records.js'
+import {formatOf} from './lib/formats.js'
+
+export {
+  EjsonAggregateError,
+  EjsonDecryptionError,
+  EjsonError,
+  EjsonKeyMismatchError,
+  EjsonKeyNotFoundError,
+  EjsonParseError,
+  EjsonPolicyError,
+  EjsonSchemaError
+} from './lib/errors.js'
+export {validateSchema} from './lib/schema.js'
+export {derivePublicKey} from './lib/keys.js'
+export {Secret} from './lib/secret.js'
+export {
+  commandKeyProvider,
+  defaultKeyProviders,
+  envKeyProvider,
+  fdKeyProvider,
+  keyMapProvider,
+  KeyProviderMiss,
+  keysDirProvider
+} from './lib/key-providers.js'
+
+nacl.setPRNG((x, n) => x.set(randomBytes(n)))
+
+// Key agreement uses node:crypto X25519 when available, with TweetNaCl as the fallback.
+export const cryptoBackend = selectBackend(process.env.NODE_EJSON_CRYPTO_BACKEND)
 
 export const parseEncryptedValue = (value) => {
   const ejsonRegex = /^EJ\[(\d):([A-Za-z0-9+=/]{44}):([A-Za-z0-9+=/]{32}):(.+)]$/
   const parts = value.match(ejsonRegex)
   if (!parts || parts.length !== 5) {
-    throw new Error('Invalid EJSON: ' + value)
+    throw new EjsonParseError('Invalid EJSON: ' + value, {reason: 'MALFORMED_VALUE'})
   } else {
     return {
       schemaVersion: parseInt(parts[1]),
       encrypterPublic: parts[2],
       nonce: parts[3],
-      box: parts[4]
+      box: parts[4],
+      boxes: parts[4].split('|')
     }
   }
 }
@@ -21,69 +76,738 @@ export const encrypt = (message, nonce, theirPublicKey, mySecretKey) => {
   const nonceBuff = Buffer.from(nonce, 'base64')
   const theirPubBuff = Buffer.from(theirPublicKey, 'base64')
   const privBuff = Buffer.from(mySecretKey, 'hex')
-  const data = nacl.box(msgBuff, nonceBuff, theirPubBuff, privBuff)
+  const data = nacl.box.after(msgBuff, nonceBuff, cryptoBackend.sharedKey(theirPubBuff, privBuff))
   return Buffer.from(data).toString('base64')
 }
 
-export const decrypt = (message, nonce, theirPublicKey, mySecretKey) => {
+const sharedKey = (theirPublicKey, mySecretKey) => {
+  const theirPubBuff = Buffer.from(theirPublicKey, 'base64')
+  const privBuff = Buffer.from(mySecretKey ?? '', 'hex')
+  if (privBuff.length !== nacl.box.secretKeyLength) {
+    throw new EjsonDecryptionError('Invalid private key: expected 64 hex characters', {reason: 'INVALID_PRIVATE_KEY'})
+  }
+  return cryptoBackend.sharedKey(theirPubBuff, privBuff, {reusePrivateKey: true})
+}
+
+// Values usually share the encrypter public key, so the shared key is computed once per encrypter
+// public key when a cache is given. A cache belongs to a single private key.
+const cachedSharedKey = (theirPublicKey, mySecretKey, cache) => {
+  let key = cache?.get(theirPublicKey)
+  if (!key) {
+    key = sharedKey(theirPublicKey, mySecretKey)
+    cache?.set(theirPublicKey, key)
+  }
+  return key
+}
+
+const sharedKeyCache = () => lruCache(100)
+
+export const decrypt = (message, nonce, theirPublicKey, mySecretKey, sharedKeys) => {
   const msgBuff = Buffer.from(message, 'base64')
   const nonceBuff = Buffer.from(nonce, 'base64')
-  const theirPubBuff = Buffer.from(theirPublicKey, 'base64')
-  const privBuff = Buffer.from(mySecretKey, 'hex')
-  const data = nacl.box.open(msgBuff, nonceBuff, theirPubBuff, privBuff)
+  const data = nacl.box.open.after(msgBuff, nonceBuff, cachedSharedKey(theirPublicKey, mySecretKey, sharedKeys))
+  if (!data) {
+    throw new EjsonDecryptionError('Authentication failed: wrong private key or corrupted value', {reason: 'AUTHENTICATION_FAILED'})
+  }
   return Buffer.from(data).toString('utf8')
 }
 
+export const generateKeyPair = () => {
+  const keyPair = nacl.box.keyPair()
+  return {
+    publicKey: Buffer.from(keyPair.publicKey).toString('hex'),
+    privateKey: Buffer.from(keyPair.secretKey).toString('hex')
+  }
+}
+
+export const writeKeyPair = async (options = {}) => {
+  const keyPair = generateKeyPair()
+  const keysDir = options.keysDir ?? defaultConfig.keysDir
+  await fs.writeFile(path.join(keysDir, keyPair.publicKey), keyPair.privateKey, {mode: 0o400, flag: 'wx'})
+  return keyPair
+}
+
+// With several public keys, the value holds one box per recipient separated by `|`,
+// in the order of the document's `_public_keys`.
+const encryptValue = (message, publicKeys) => {
+  const ephemeral = nacl.box.keyPair()
+  const encrypterPublic = Buffer.from(ephemeral.publicKey).toString('base64')
+  const nonce = Buffer.from(nacl.randomBytes(nacl.box.nonceLength)).toString('base64')
+  const secretKey = Buffer.from(ephemeral.secretKey).toString('hex')
+  const boxes = publicKeys.map((publicKey) => encrypt(message, nonce, Buffer.from(publicKey, 'hex').toString('base64'), secretKey))
+  return `EJ[1:${encrypterPublic}:${nonce}:${boxes.join('|')}]`
+}
+
+const documentPublicKeys = (doc) => doc['_public_keys'] ?? [doc['_public_key']]
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+const declaresKeys = (value) => isPlainObject(value) && ('_public_key' in value || '_public_keys' in value)
+
+const mapStringFields = (rawConf, mapValue, publicKeys, parentPath = '') => {
+  const configJson = structuredClone(rawConf)
+  for (const key in configJson) {
+    const fieldPath = joinPath(parentPath, key)
+    const value = configJson[key]
+    if (key.startsWith('_')) {
+      continue
+    } else if (typeof value === 'string') {
+      configJson[key] = mapValue(value, fieldPath, publicKeys)
+    } else if (typeof value === 'object') {
+      const subtreeKeys = declaresKeys(value) ? documentPublicKeys(value) : publicKeys
+      configJson[key] = mapStringFields(value, mapValue, subtreeKeys, fieldPath)
+    }
+  }
+  return configJson
+}
+
+const assertPublicKeys = (publicKeys) => {
+  for (const publicKey of publicKeys) {
+    if (!/^[0-9a-f]{64}$/i.test(publicKey ?? '')) {
+      throw new Error('Invalid public key: ' + publicKey)
+    }
+  }
+}
+
+export const encryptEjson = (doc, options = {}) => {
+  const publicKeys = options.publicKeys ?? (options.publicKey ? [options.publicKey] : documentPublicKeys(doc))
+  assertPublicKeys(publicKeys)
+  return mapStringFields(doc, (value, fieldPath, subtreeKeys) => {
+    if (value.startsWith('EJ[')) {
+      return value
+    }
+    assertPublicKeys(subtreeKeys)
+    return encryptValue(value, subtreeKeys)
+  }, publicKeys)
+}
+
+export const rotateKeys = (doc, options) => {
+  const {oldPrivateKey, newPublicKey, newPublicKeys = [newPublicKey]} = options
+  assertPublicKeys(newPublicKeys)
+  const oldPublicKeys = documentPublicKeys(doc)
+  const recipient = Math.max(oldPublicKeys.indexOf(derivePublicKey(oldPrivateKey)), 0)
+  const ctx = {publicKey: oldPublicKeys[recipient], privateKey: oldPrivateKey, recipient, sharedKeys: sharedKeyCache()}
+  // Nested objects with their own public keys belong to other key holders and are left as they are.
+  const rotated = mapStringFields(doc, (value, fieldPath, subtreeKeys) => value.startsWith('EJ[') && subtreeKeys === oldPublicKeys
+    ? encryptValue(decryptField(value, fieldPath, ctx), newPublicKeys)
+    : value, oldPublicKeys)
+  if (options.newPublicKeys) {
+    delete rotated['_public_key']
+    rotated['_public_keys'] = newPublicKeys
+  } else {
+    delete rotated['_public_keys']
+    rotated['_public_key'] = newPublicKey
+  }
+  return rotated
+}
+
 export const defaultConfig = {
   envFilePath: process.env.NODE_EJSON_FILE_PATH ?? undefined,
   envFileDir: '.',
   envFilePrefix: process.env.NODE_ENV ?? 'env',
   envFileSuffix: '.ejson',
-  keysDir: '/opt/ejson/keys/',
-  getPrivateKey: async (publicKey, conf) => {
-    if (process.env.NODE_EJSON_PRIVATE_KEY) {
-      return process.env.NODE_EJSON_PRIVATE_KEY
-    } else {
-      return await fs.readFile(conf.keysDir + publicKey, 'utf8')
+  keysDir: process.env.EJSON_KEYDIR ?? '/opt/ejson/keys/',
+  commonLayers: [],
+  overrideLayers: [],
+  errors: 'throw',
+  strict: false,
+  plaintextAllowlist: [],
+  skipMissingKeys: false,
+  paths: undefined,
+  lazy: false,
+  wrapSecrets: false,
+  watchDebounceMs: 100,
+  workers: 0,
+  workerThreshold: 10000,
+  keyProviders: defaultKeyProviders,
+  getPrivateKey: (publicKey, conf) => getKeyFromProviders(conf.keyProviders, publicKey, conf),
+  getPrivateKeySync: (publicKey, conf) => getKeyFromProvidersSync(conf.keyProviders, publicKey, conf)
+}
+
+const mergeConfigs = (config) => {
+  const conf = {...defaultConfig, ...config}
+  // Values left encrypted by `paths` or `lazy` cannot be checked against a schema.
+  if (conf.schema && (conf.paths || conf.lazy)) {
+    throw new Error('schema cannot be combined with paths or lazy')
+  }
+  return conf
+}
+
+// The arguments of `decrypt` for the box of the recipient whose key is in `ctx`.
+const boxArgs = (value, ctx) => {
+  const parsed = parseEncryptedValue(value)
+  const box = parsed.boxes[ctx.recipient ?? 0]
+  if (box === undefined) {
+    throw new EjsonDecryptionError('Value is not encrypted for this recipient', {reason: 'MISSING_RECIPIENT'})
+  }
+  return [box, parsed.nonce, parsed.encrypterPublic, ctx.privateKey]
+}
+
+const decryptField = (value, fieldPath, ctx) => {
+  try {
+    const decrypted = decrypt(...boxArgs(value, ctx), ctx.sharedKeys)
+    return ctx.wrapSecrets ? new Secret(decrypted) : decrypted
+  } catch (e) {
+    throw decryptionFailure(e, fieldPath, ctx)
+  }
+}
+
+const decryptionFailure = (e, fieldPath, ctx) => new EjsonDecryptionError(`Failed to decrypt ${fieldPath} for public key ${ctx.publicKey}: ${e.message}`, {
+  reason: e.reason ?? 'DECRYPTION_FAILED',
+  path: fieldPath,
+  publicKey: ctx.publicKey,
+  cause: e
+})
+
+const recordError = (ctx, error) => {
+  if (!ctx.errors) {
+    throw error
+  }
+  ctx.errors.push(error)
+  return undefined
+}
+
+const keySetId = (publicKeys) => publicKeys.join(',')
+
+// A nested object declaring its own `_public_key(s)` is decrypted with its own private key.
+const subtreeContext = (value, ctx) => declaresKeys(value)
+  ? {...ctx, publicKeys: documentPublicKeys(value)}
+  : ctx
+
+// Placeholder for a value waiting for its private key, replaced by resolveDeferred.
+class PendingDecryption {
+  constructor(index) {
+    this.index = index
+  }
+}
+
+// Calls `replace(parent, key, index)` for each placeholder.
+const replaceDeferred = (configJson, replace) => {
+  for (const key in configJson) {
+    const value = configJson[key]
+    if (value instanceof PendingDecryption) {
+      replace(configJson, key, value.index)
+    } else if (typeof value === 'object' && value !== null) {
+      replaceDeferred(value, replace)
     }
   }
+  return configJson
+}
+
+const resolveDeferred = (configJson, values) => replaceDeferred(configJson, (parent, key, index) => {
+  parent[key] = values[index]
+})
+
+const isLazyField = (configJson, key) => Boolean(Object.getOwnPropertyDescriptor(configJson, key)?.get)
+
+const dataField = (value) => ({value, enumerable: true, configurable: true, writable: true})
+
+// Decrypts the value on first access and replaces the getter with the plaintext.
+const defineLazyField = (configJson, key, job) => {
+  Object.defineProperty(configJson, key, {
+    enumerable: true,
+    configurable: true,
+    get() {
+      const decrypted = decryptJob(job)
+      Object.defineProperty(this, key, dataField(decrypted))
+      return decrypted
+    },
+    set(newValue) {
+      Object.defineProperty(this, key, dataField(newValue))
+    }
+  })
 }
 
-const mergeConfigs = (config) => ({...defaultConfig, ...config})
+const deferJobs = (configJson, jobs) => replaceDeferred(configJson, (parent, key, index) => {
+  defineLazyField(parent, key, jobs[index])
+})
 
-const processObjectFields = (rawConf, privateKey) => {
+// Encrypted values are collected as jobs together with the key sets they need, so that only
+// keys which are actually used get looked up.
+const processObjectFields = (rawConf, ctx, parentPath = '') => {
   const configJson = structuredClone(rawConf)
   for (const key in configJson) {
+    const fieldPath = joinPath(parentPath, key)
     if (key.startsWith('_')) {
       const keyName = key.slice(1)
       if (!configJson[keyName]) {
         configJson[keyName] = configJson[key]
       }
     } else if (typeof configJson[key] === 'string' && configJson[key].startsWith('EJ[')) {
-      const parsed = parseEncryptedValue(configJson[key])
-      configJson[key] = decrypt(parsed.box, parsed.nonce, parsed.encrypterPublic, privateKey)
+      if (ctx.paths && !matchesAnyPath(ctx.paths, fieldPath)) {
+        continue
+      }
+      ctx.keySets.set(keySetId(ctx.publicKeys), ctx.publicKeys)
+      ctx.jobs.push({value: configJson[key], fieldPath, publicKeys: ctx.publicKeys})
+      configJson[key] = new PendingDecryption(ctx.jobs.length - 1)
+    } else if (typeof configJson[key] === 'string' && ctx.strict && !matchesAnyPath(ctx.plaintextAllowlist, fieldPath)) {
+      configJson[key] = recordError(ctx, new EjsonPolicyError(fieldPath))
     } else if (typeof configJson[key] === 'object') {
-      configJson[key] = processObjectFields(configJson[key], privateKey)
+      const subtreeCtx = subtreeContext(configJson[key], ctx)
+      configJson[key] = processObjectFields(configJson[key], subtreeCtx, fieldPath)
+      if (subtreeCtx !== ctx) {
+        ctx.subtrees.push({parent: configJson, key, publicKeys: subtreeCtx.publicKeys})
+      }
     }
   }
   return configJson
 }
 
-const getConfigJson = async (config) => {
-  if (config.configJson) {
-    return config.configJson
-  } else {
-    const filePath = config.envFilePath ?? `${config.envFileDir}/${config.envFilePrefix}${config.envFileSuffix}`
-    const envFile = await fs.readFile(filePath, 'utf8')
-    return JSON.parse(envFile)
+// Copies property descriptors so that lazy fields are merged without decrypting them.
+const deepMerge = (target, source) => {
+  const merged = Object.defineProperties({}, Object.getOwnPropertyDescriptors(target))
+  for (const key in source) {
+    if (!isLazyField(merged, key) && !isLazyField(source, key) && isPlainObject(merged[key]) && isPlainObject(source[key])) {
+      merged[key] = deepMerge(merged[key], source[key])
+    } else {
+      Object.defineProperty(merged, key, Object.getOwnPropertyDescriptor(source, key))
+    }
+  }
+  return merged
+}
+
+const layerFilePath = (config, prefix) => `${config.envFileDir}/${prefix}${config.envFileSuffix}`
+
+const toLayer = (layer, config) => typeof layer === 'string'
+  ? {filePath: layerFilePath(config, layer), optional: true}
+  : {
+    configJson: layer.configJson,
+    filePath: layer.path ?? (layer.prefix && layerFilePath(config, layer.prefix)),
+    optional: layer.optional ?? true
+  }
+
+const resolveLayers = (config) => [
+  ...config.commonLayers.map((layer) => toLayer(layer, config)),
+  {
+    configJson: config.configJson,
+    filePath: config.envFilePath ?? layerFilePath(config, config.envFilePrefix),
+    optional: false
+  },
+  ...config.overrideLayers.map((layer) => toLayer(layer, config))
+]
+
+const parseConfigJson = (envFile, filePath) => {
+  const format = formatOf(filePath)
+  try {
+    return format.parse(envFile)
+  } catch (e) {
+    throw new EjsonParseError(`Invalid ${format.name} in ${filePath}: ${e.message}`, {reason: `INVALID_${format.name}`, file: filePath, cause: e})
+  }
+}
+
+const readConfigJson = function* (layer, readFile) {
+  if (layer.configJson) {
+    return layer.configJson
+  }
+  try {
+    return parseConfigJson(yield readFile(layer.filePath, 'utf8'), layer.filePath)
+  } catch (e) {
+    if (layer.optional && e.code === 'ENOENT') {
+      return undefined
+    }
+    throw e
+  }
+}
+
+const getConfigJson = (layer) => runAsync(readConfigJson(layer, fs.readFile))
+
+const getConfigJsonSync = (layer) => runSync(readConfigJson(layer, readFileSync))
+
+const keyNotFound = (publicKeys, failures) => failures.length === 1
+  ? failures[0]
+  : new EjsonKeyNotFoundError(publicKeys.join(', '), {
+    failures: failures.flatMap((e) => e.failures ?? [{location: 'getPrivateKey', reason: e.message}])
+  })
+
+// Checks the key up front, so that a wrong key is not reported as a failure of every field.
+const verifyPrivateKey = (privateKey, publicKey) => {
+  if (!/^[0-9a-f]{64}$/i.test(privateKey)) {
+    throw new EjsonDecryptionError('Invalid private key: expected 64 hex characters', {reason: 'INVALID_PRIVATE_KEY', publicKey})
+  }
+  const derivedPublicKey = derivePublicKey(privateKey)
+  if (publicKey && derivedPublicKey !== publicKey.toLowerCase()) {
+    throw new EjsonKeyMismatchError(publicKey, derivedPublicKey)
+  }
+}
+
+// Tries each of the document's public keys in order and uses the first one with a private key available.
+const readPrivateKey = function* (publicKeys, getPrivateKey) {
+  const failures = []
+  for (const [recipient, publicKey] of publicKeys.entries()) {
+    try {
+      const privateKey = (yield getPrivateKey(publicKey))?.toString().trim()
+      if (privateKey) {
+        verifyPrivateKey(privateKey, publicKey)
+        return {publicKey, privateKey, recipient}
+      }
+      failures.push(new EjsonKeyNotFoundError(publicKey))
+    } catch (e) {
+      failures.push(e)
+    }
+  }
+  throw keyNotFound(publicKeys, failures)
+}
+
+const findPrivateKey = (publicKeys, getPrivateKey) => runAsync(readPrivateKey(publicKeys, getPrivateKey))
+
+export const getDocumentPrivateKey = async (doc, config) => {
+  const conf = mergeConfigs(config)
+  return findPrivateKey(documentPublicKeys(doc), (publicKey) => conf.getPrivateKey(publicKey, conf))
+}
+
+const readKeys = function* (keySets, getPrivateKey) {
+  const keys = new Map()
+  for (const [id, publicKeys] of keySets) {
+    try {
+      keys.set(id, {key: yield* readPrivateKey(publicKeys, getPrivateKey)})
+    } catch (error) {
+      keys.set(id, {error})
+    }
+  }
+  return keys
+}
+
+const layerContext = (rawConf, conf, errors) => ({
+  publicKeys: documentPublicKeys(rawConf),
+  keySets: new Map(),
+  jobs: [],
+  subtrees: [],
+  skipMissingKeys: conf.skipMissingKeys,
+  errors,
+  paths: conf.paths,
+  lazy: conf.lazy,
+  wrapSecrets: conf.wrapSecrets,
+  strict: conf.strict,
+  plaintextAllowlist: conf.plaintextAllowlist
+})
+
+// In collect mode a missing key is reported for each value that needed it.
+const keyFailure = (error, fieldPath) => new EjsonKeyNotFoundError(error.publicKey, {
+  failures: error.failures,
+  path: fieldPath,
+  cause: error.cause
+})
+
+// Fails for a missing key, or records it for each value that needed it in collect mode. With
+// `skipMissingKeys`, subtrees whose key is missing are left out instead. Returns the jobs with
+// the context holding their key.
+const settleKeys = (ctx, keys) => {
+  const rootId = keySetId(ctx.publicKeys)
+  const skipped = (id) => id !== rootId && ctx.skipMissingKeys && Boolean(keys.get(id)?.error)
+  for (const {parent, key, publicKeys} of ctx.subtrees) {
+    if (skipped(keySetId(publicKeys))) {
+      delete parent[key]
+    }
+  }
+  const keyContexts = new Map()
+  for (const [id, {key}] of keys) {
+    keyContexts.set(id, key && {...ctx, ...key, sharedKeys: sharedKeyCache()})
+  }
+  return ctx.jobs.map((job) => {
+    const id = keySetId(job.publicKeys)
+    const {error} = keys.get(id)
+    if (!error) {
+      return {...job, ctx: keyContexts.get(id)}
+    } else if (skipped(id)) {
+      return undefined
+    } else if (!ctx.errors || !(error instanceof EjsonKeyNotFoundError)) {
+      throw error
+    }
+    return {...job, ctx, error: keyFailure(error, job.fieldPath)}
+  })
+}
+
+const decryptJob = (job) => {
+  if (job.error) {
+    throw job.error
+  }
+  return decryptField(job.value, job.fieldPath, job.ctx)
+}
+
+const decryptJobs = (jobs) => jobs.map((job) => {
+  if (!job) {
+    return undefined
+  }
+  try {
+    return decryptJob(job)
+  } catch (e) {
+    return recordError(job.ctx, e)
+  }
+})
+
+// Lazy fields only defer the decryption, their keys are looked up with the others.
+const settleLayer = (configJson, ctx, jobs) => ctx.lazy ? deferJobs(configJson, jobs) : resolveDeferred(configJson, decryptJobs(jobs))
+
+const decryptWorker = new URL('./lib/decrypt-worker.js', import.meta.url)
+
+// Lazy fields are decrypted on access, so they never go to the worker pool.
+const useWorkers = (jobs, conf) => conf.workers > 0 && !conf.lazy && jobs.filter(Boolean).length >= conf.workerThreshold
+
+const deferredResult = ({fieldPath, ctx}, {value, error}) => {
+  if (error) {
+    const cause = new EjsonDecryptionError(error.message, {reason: error.reason})
+    return recordError(ctx, decryptionFailure(cause, fieldPath, ctx))
   }
+  return ctx.wrapSecrets ? new Secret(value) : value
+}
+
+// Values that fail before reaching a worker, such as those without a private key, are settled here.
+const decryptJobsInWorkers = async (jobs, conf) => {
+  const values = new Array(jobs.length)
+  const batch = []
+  jobs.forEach((job, index) => {
+    if (!job) {
+      return
+    } else if (job.error) {
+      values[index] = recordError(job.ctx, job.error)
+      return
+    }
+    try {
+      batch.push({index, job, args: boxArgs(job.value, job.ctx)})
+    } catch (e) {
+      values[index] = recordError(job.ctx, decryptionFailure(e, job.fieldPath, job.ctx))
+    }
+  })
+  const results = await runInWorkers(decryptWorker, batch.map(({args}) => args), {workers: conf.workers})
+  batch.forEach(({index, job}, i) => {
+    values[index] = deferredResult(job, results[i])
+  })
+  return values
+}
+
+const processLayer = async (rawConf, conf, errors, parentPath = '') => {
+  const ctx = layerContext(rawConf, conf, errors)
+  const configJson = processObjectFields(rawConf, ctx, parentPath)
+  const keys = await runAsync(readKeys(ctx.keySets, (publicKey) => conf.getPrivateKey(publicKey, conf)))
+  const jobs = settleKeys(ctx, keys)
+  return useWorkers(jobs, conf)
+    ? resolveDeferred(configJson, await decryptJobsInWorkers(jobs, conf))
+    : settleLayer(configJson, ctx, jobs)
+}
+
+const processLayerSync = (rawConf, conf, errors) => {
+  const ctx = layerContext(rawConf, conf, errors)
+  const configJson = processObjectFields(rawConf, ctx)
+  const keys = runSync(readKeys(ctx.keySets, (publicKey) => conf.getPrivateKeySync(publicKey, conf)))
+  return settleLayer(configJson, ctx, settleKeys(ctx, keys))
+}
+
+const mergeLayers = (conf, rawLayers, layers, errors) => {
+  const configJson = layers.reduce(deepMerge, {})
+  if (errors?.length) {
+    throw new EjsonAggregateError(errors, configJson)
+  }
+  if (conf.schema) {
+    const problems = validateSchema(configJson, conf.schema, {raw: rawLayers.reduce(deepMerge, {})})
+    if (problems.length) {
+      throw new EjsonSchemaError(problems)
+    }
+  }
+  return configJson
 }
 
 export const processEjson = async (config) => {
   const conf = mergeConfigs(config)
-  const rawConf = await getConfigJson(conf)
-  const privateKey = await conf.getPrivateKey(rawConf['_public_key'], conf)
-  return processObjectFields(rawConf, privateKey)
+  const errors = conf.errors === 'collect' ? [] : undefined
+  const rawLayers = []
+  const layers = []
+  for (const layer of resolveLayers(conf)) {
+    const rawConf = await getConfigJson(layer)
+    if (rawConf) {
+      rawLayers.push(rawConf)
+      layers.push(await processLayer(rawConf, conf, errors))
+    }
+  }
+  return mergeLayers(conf, rawLayers, layers, errors)
+}
+
+export const processEjsonSync = (config) => {
+  const conf = mergeConfigs(config)
+  const errors = conf.errors === 'collect' ? [] : undefined
+  const rawLayers = []
+  const layers = []
+  for (const layer of resolveLayers(conf)) {
+    const rawConf = getConfigJsonSync(layer)
+    if (rawConf) {
+      rawLayers.push(rawConf)
+      layers.push(processLayerSync(rawConf, conf, errors))
+    }
+  }
+  return mergeLayers(conf, rawLayers, layers, errors)
+}
+
+const parseRecord = (text, recordPath) => {
+  let record
+  try {
+    record = JSON.parse(text)
+  } catch (e) {
+    throw new EjsonParseError(`Invalid JSON in record ${recordPath}: ${e.message}`, {reason: 'INVALID_JSON', path: recordPath, cause: e})
+  }
+  if (!isPlainObject(record)) {
+    throw new EjsonParseError(`Record ${recordPath} is not an object`, {reason: 'INVALID_JSON', path: recordPath})
+  }
+  return record
+}
+
+const decryptRecord = async (record, conf, recordPath) => {
+  const errors = conf.errors === 'collect' ? [] : undefined
+  const configJson = await processLayer(record, conf, errors, recordPath)
+  return mergeLayers(conf, [record], [configJson], errors)
+}
+
+// Decrypts newline-delimited EJSON records, or the elements of a top-level array, one record
+// at a time. Each record is decrypted with its own `_public_key`, and field paths in errors
+// start with the record index.
+export const decryptStream = (config) => {
+  const conf = mergeConfigs(config)
+  const keys = new Map()
+  const recordConf = {
+    ...conf,
+    getPrivateKey: (publicKey) => {
+      if (!keys.has(publicKey)) {
+        keys.set(publicKey, conf.getPrivateKey(publicKey, conf))
+      }
+      return keys.get(publicKey)
+    }
+  }
+  const splitter = createRecordSplitter()
+  const decoder = new StringDecoder('utf8')
+  let index = 0
+  const pushRecords = async (stream, texts) => {
+    for (const text of texts()) {
+      const recordPath = String(index++)
+      stream.push(await decryptRecord(parseRecord(text, recordPath), recordConf, recordPath))
+    }
+  }
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, encoding, callback) {
+      pushRecords(this, () => splitter.push(decoder.write(chunk))).then(() => callback(), callback)
+    },
+    flush(callback) {
+      pushRecords(this, () => splitter.end(decoder.end())).then(() => callback(), callback)
+    }
+  })
+}
+
+// Reloads the config when one of its files changes. A config that fails to load is reported
+// to `onError` and the previous one is kept.
+// Errors thrown by the callbacks are rethrown on their own, like errors from other event handlers,
+// so that they neither pass for reload failures nor stop later reloads.
+const report = (callback, ...args) => {
+  try {
+    callback(...args)
+  } catch (e) {
+    process.nextTick(() => {
+      throw e
+    })
+  }
+}
+
+export const watchEjson = async (config, onChange, onError = () => {}) => {
+  const conf = mergeConfigs(config)
+  let current = await processEjson(conf)
+  let pending = Promise.resolve()
+  const reload = async () => {
+    let next
+    try {
+      next = await processEjson(conf)
+    } catch (e) {
+      report(onError, e)
+      return
+    }
+    const changes = diffPaths(current, next)
+    if (changes.length) {
+      current = next
+      report(onChange, next, changes)
+    }
+  }
+  const filePaths = resolveLayers(conf).filter((layer) => !layer.configJson && layer.filePath).map((layer) => layer.filePath)
+  const watcher = watchFiles(filePaths, () => {
+    pending = pending.then(reload)
+  }, conf.watchDebounceMs)
+  return {
+    get config() {
+      return current
+    },
+    close: watcher.close
+  }
+}
+
+const describeEncrypted = (value, publicKeys) => {
+  try {
+    const parsed = parseEncryptedValue(value)
+    return {
+      kind: 'encrypted',
+      schemaVersion: parsed.schemaVersion,
+      encrypterPublic: parsed.encrypterPublic,
+      recipients: parsed.boxes.length,
+      publicKeys
+    }
+  } catch (e) {
+    return {kind: 'invalid', reason: e.reason}
+  }
+}
+
+const describeFields = (rawConf, publicKeys, parentPath = '', fields = []) => {
+  for (const key in rawConf) {
+    const fieldPath = joinPath(parentPath, key)
+    const value = rawConf[key]
+    if (key.startsWith('_')) {
+      fields.push({path: fieldPath, kind: 'unencrypted', type: typeof value})
+    } else if (typeof value === 'string' && value.startsWith('EJ[')) {
+      fields.push({path: fieldPath, ...describeEncrypted(value, publicKeys)})
+    } else if (typeof value === 'object' && value !== null) {
+      describeFields(value, declaresKeys(value) ? documentPublicKeys(value) : publicKeys, fieldPath, fields)
+    } else {
+      fields.push({path: fieldPath, kind: 'plaintext', type: value === null ? 'null' : typeof value})
+    }
+  }
+  return fields
+}
+
+// Describes which fields of the primary EJSON file are encrypted, without decrypting anything.
+export const describeEjson = async (config) => {
+  const conf = mergeConfigs(typeof config === 'string' ? {envFilePath: config} : config)
+  const layer = resolveLayers(conf)[conf.commonLayers.length]
+  const rawConf = await getConfigJson(layer)
+  const publicKeys = documentPublicKeys(rawConf).filter(Boolean)
+  return {
+    file: layer.configJson ? undefined : layer.filePath,
+    publicKeys,
+    fields: describeFields(rawConf, publicKeys)
+  }
+}
+
+const redactValue = (value) => {
+  const description = describeEncrypted(value)
+  return description.kind === 'encrypted'
+    ? `[encrypted v${description.schemaVersion} by ${description.encrypterPublic}]`
+    : '[invalid encrypted value]'
+}
+
+// Replaces encrypted and plaintext strings with markers. Keys starting with `_` are kept.
+export const redact = (doc) => mapStringFields(doc, (value) => value.startsWith('EJ[') ? redactValue(value) : '[plaintext]')
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value) || value instanceof Secret
+
+export const populateEnv = (config, options = {}) => {
+  const {override = false, prefix = '', env = process.env} = options
+  const values = {}
+  for (const source of [config, config.environment ?? {}]) {
+    for (const key in source) {
+      if (!key.startsWith('_') && isScalar(source[key])) {
+        values[prefix + key] = String(reveal(source[key]))
+      }
+    }
+  }
+  const populated = {}
+  for (const key in values) {
+    if (override || env[key] === undefined) {
+      env[key] = populated[key] = values[key]
+    }
+  }
+  return populated
 }
 
 export default processEjson
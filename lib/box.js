@@ -0,0 +1,82 @@
+import {createPrivateKey, createPublicKey, diffieHellman} from 'node:crypto'
+import {lruCache} from './lru.js'
+import nacl from './nacl-fast.js'
+
+// X25519 keys are given to node:crypto as DER, i.e. the raw key behind a fixed ASN.1 header.
+const pkcs8Prefix = Buffer.from('302e020100300506032b656e04220420', 'hex')
+const spkiPrefix = Buffer.from('302a300506032b656e032100', 'hex')
+const sigma = Buffer.from('expand 32-byte k')
+
+// Importing a private key derives its public key, which costs more than the key agreement,
+// so the key objects of the few private keys used for decryption are kept. Encryption uses
+// a new ephemeral key per value, which is never reused and not kept.
+export const privateKeyObjects = lruCache(16)
+
+const importPrivateKey = (privateKey) => createPrivateKey({key: Buffer.concat([pkcs8Prefix, privateKey]), format: 'der', type: 'pkcs8'})
+
+const privateKeyObject = (privateKey, reuse) => {
+  if (!reuse) {
+    return importPrivateKey(privateKey)
+  }
+  const id = Buffer.from(privateKey).toString('hex')
+  let key = privateKeyObjects.get(id)
+  if (!key) {
+    key = importPrivateKey(privateKey)
+    privateKeyObjects.set(id, key)
+  }
+  return key
+}
+
+const x25519 = (publicKey, privateKey, reuse) => diffieHellman({
+  privateKey: privateKeyObject(privateKey, reuse),
+  publicKey: createPublicKey({key: Buffer.concat([spkiPrefix, publicKey]), format: 'der', type: 'spki'})
+})
+
+// Same as nacl.box.before: the X25519 shared secret run through HSalsa20.
+const hsalsa20 = (secret) => {
+  const key = new Uint8Array(nacl.box.sharedKeyLength)
+  nacl.lowlevel.crypto_core_hsalsa20(key, new Uint8Array(16), secret, sigma)
+  return key
+}
+
+// `reusePrivateKey` tells that the private key will be used again, as when decrypting.
+export const naclBackend = {
+  name: 'tweetnacl',
+  sharedKey: (publicKey, privateKey) => nacl.box.before(publicKey, privateKey)
+}
+
+export const nodeBackend = {
+  name: 'node',
+  sharedKey: (publicKey, privateKey, {reusePrivateKey = false} = {}) => {
+    try {
+      return hsalsa20(x25519(publicKey, privateKey, reusePrivateKey))
+    } catch (e) {
+      // OpenSSL rejects low-order public keys that TweetNaCl accepts.
+      return naclBackend.sharedKey(publicKey, privateKey)
+    }
+  }
+}
+
+const supportsNodeBackend = () => {
+  try {
+    const alice = nacl.box.keyPair.fromSecretKey(new Uint8Array(32).fill(1))
+    const bob = nacl.box.keyPair.fromSecretKey(new Uint8Array(32).fill(2))
+    const expected = naclBackend.sharedKey(bob.publicKey, alice.secretKey)
+    const key = hsalsa20(x25519(bob.publicKey, alice.secretKey))
+    return Buffer.from(key).equals(Buffer.from(expected))
+  } catch (e) {
+    return false
+  }
+}
+
+export const backends = {tweetnacl: naclBackend, node: nodeBackend}
+
+export const selectBackend = (name) => {
+  if (name) {
+    if (!backends[name]) {
+      throw new Error(`Unknown crypto backend ${name}: expected one of ${Object.keys(backends).join(', ')}`)
+    }
+    return backends[name]
+  }
+  return supportsNodeBackend() ? nodeBackend : naclBackend
+}
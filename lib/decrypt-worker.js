@@ -0,0 +1,23 @@
+import {parentPort} from 'node:worker_threads'
+import {decrypt} from '../ejson.js'
+import {lruCache} from './lru.js'
+
+// A shared key cache belongs to a single private key, and the values of a document can use several.
+const sharedKeys = new Map()
+
+const sharedKeyCache = (privateKey) => {
+  if (!sharedKeys.has(privateKey)) {
+    sharedKeys.set(privateKey, lruCache(100))
+  }
+  return sharedKeys.get(privateKey)
+}
+
+parentPort.on('message', (jobs) => {
+  parentPort.postMessage(jobs.map(([box, nonce, encrypterPublic, privateKey]) => {
+    try {
+      return {value: decrypt(box, nonce, encrypterPublic, privateKey, sharedKeyCache(privateKey))}
+    } catch (e) {
+      return {error: {message: e.message, reason: e.reason}}
+    }
+  }))
+})
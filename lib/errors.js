@@ -0,0 +1,72 @@
+export class EjsonError extends Error {
+  constructor(message, options) {
+    super(message, options)
+    this.name = this.constructor.name
+  }
+}
+
+export class EjsonParseError extends EjsonError {
+  constructor(message, {reason, path, file, cause} = {}) {
+    super(message, {cause})
+    this.reason = reason
+    this.path = path
+    this.file = file
+  }
+}
+
+export class EjsonDecryptionError extends EjsonError {
+  constructor(message, {reason, path, publicKey, cause} = {}) {
+    super(message, {cause})
+    this.reason = reason
+    this.path = path
+    this.publicKey = publicKey
+  }
+}
+
+export class EjsonKeyNotFoundError extends EjsonError {
+  constructor(publicKey, {failures, searched = failures?.map((failure) => failure.location) ?? [], path, cause} = {}) {
+    const places = failures?.map((failure) => `${failure.location} (${failure.reason})`) ?? searched
+    const where = places.length ? ` (searched: ${places.join(', ')})` : ''
+    super(`No private key found for public key ${publicKey}${where}`, {cause})
+    this.reason = 'KEY_NOT_FOUND'
+    this.publicKey = publicKey
+    this.searched = searched
+    this.failures = failures ?? searched.map((location) => ({location}))
+    this.path = path
+  }
+}
+
+export class EjsonAggregateError extends AggregateError {
+  constructor(errors, config) {
+    const paths = errors.map((e) => e.path)
+    super(errors, `Failed to process ${errors.length} value(s): ${paths.join(', ')}`)
+    this.name = 'EjsonAggregateError'
+    this.paths = paths
+    this.config = config
+  }
+}
+
+export class EjsonSchemaError extends EjsonError {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  ${problem.message}`).join('\n')}`)
+    this.reason = 'SCHEMA_MISMATCH'
+    this.problems = problems
+  }
+}
+
+export class EjsonPolicyError extends EjsonError {
+  constructor(path) {
+    super(`Plaintext value at ${path} is not allowed in strict mode`)
+    this.reason = 'PLAINTEXT_VALUE'
+    this.path = path
+  }
+}
+
+export class EjsonKeyMismatchError extends EjsonError {
+  constructor(publicKey, derivedPublicKey) {
+    super(`Private key does not match public key ${publicKey}: it belongs to public key ${derivedPublicKey}`)
+    this.reason = 'KEY_MISMATCH'
+    this.publicKey = publicKey
+    this.derivedPublicKey = derivedPublicKey
+  }
+}
@@ -0,0 +1,46 @@
+const yamlEscapes = {
+  '0': '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\x85',
+  _: '\xa0',
+  L: '\u2028',
+  P: '\u2029'
+}
+
+const tomlEscapes = {
+  b: '\b',
+  t: '\t',
+  n: '\n',
+  f: '\f',
+  r: '\r',
+  '"': '"',
+  '\\': '\\'
+}
+
+// `hexEscapes` lists the letters that start an escape by code point, like `\u00e9`.
+const unescapeWith = (escapes, hexEscapes) => (body) => body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|[^xuU]?)/g, (match, escape) => {
+  if (escape.length > 1 && hexEscapes.includes(escape[0])) {
+    return String.fromCodePoint(parseInt(escape.slice(1), 16))
+  }
+  if (!Object.hasOwn(escapes, escape)) {
+    throw new SyntaxError(`Invalid escape sequence ${match}`)
+  }
+  return escapes[escape]
+})
+
+// Unescapes the body of a YAML double-quoted string.
+export const unescapeYaml = unescapeWith(yamlEscapes, 'xuU')
+
+// Unescapes the body of a TOML basic string.
+export const unescapeToml = unescapeWith(tomlEscapes, 'uU')
@@ -0,0 +1,33 @@
+import * as path from 'node:path'
+import {rewriteJsonStrings} from './json-text.js'
+import {parseToml, rewriteTomlStrings, stringifyToml} from './toml.js'
+import {parseYaml, rewriteYamlStrings, stringifyYaml} from './yaml.js'
+
+// Keeps the indentation and final newline of `source`, the text the document was read from, if given.
+const stringifyJson = (doc, source) => {
+  const indent = source?.match(/^([ \t]+)"/m)?.[1] ?? 2
+  return JSON.stringify(doc, null, indent) + (source === undefined || source.endsWith('\n') ? '\n' : '')
+}
+
+// `rewriteStrings(text, replace)` replaces string values in place, keeping the rest of the text.
+// `stringify(doc, source)` writes a whole document, taking what it can from the `source` text.
+export const formats = {
+  json: {name: 'JSON', parse: JSON.parse, stringify: stringifyJson, rewriteStrings: rewriteJsonStrings},
+  yaml: {name: 'YAML', parse: parseYaml, stringify: stringifyYaml, rewriteStrings: rewriteYamlStrings},
+  toml: {name: 'TOML', parse: parseToml, stringify: stringifyToml, rewriteStrings: rewriteTomlStrings}
+}
+
+const extensions = {
+  '.ejson': formats.json,
+  '.json': formats.json,
+  '.eyaml': formats.yaml,
+  '.eyml': formats.yaml,
+  '.yaml': formats.yaml,
+  '.yml': formats.yaml,
+  '.etoml': formats.toml,
+  '.toml': formats.toml
+}
+
+// The format follows the file extension, which for files found by prefix is the `envFileSuffix`.
+// Anything else is read as JSON.
+export const formatOf = (filePath) => extensions[path.extname(filePath ?? '').toLowerCase()] ?? formats.json
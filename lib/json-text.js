@@ -0,0 +1,67 @@
+const whitespace = /\s/
+const valueEnd = /[\s,\]}]/
+
+// Replaces string values in JSON text without touching the surrounding formatting.
+// `replace(path, value)` returns the new value for the string at `path`, or undefined to keep it.
+export const rewriteJsonStrings = (text, replace) => {
+  JSON.parse(text)
+  const edits = []
+  let pos = 0
+
+  const skipWhitespace = () => {
+    while (whitespace.test(text[pos])) pos++
+  }
+
+  const readString = () => {
+    const start = pos++
+    while (text[pos] !== '"') {
+      pos += text[pos] === '\\' ? 2 : 1
+    }
+    pos++
+    return {start, end: pos, value: JSON.parse(text.slice(start, pos))}
+  }
+
+  const readValue = (path) => {
+    skipWhitespace()
+    if (text[pos] === '{') {
+      pos++
+      skipWhitespace()
+      while (text[pos] !== '}') {
+        const key = readString().value
+        skipWhitespace()
+        pos++
+        readValue([...path, key])
+        skipWhitespace()
+        if (text[pos] === ',') {
+          pos++
+          skipWhitespace()
+        }
+      }
+      pos++
+    } else if (text[pos] === '[') {
+      pos++
+      skipWhitespace()
+      for (let index = 0; text[pos] !== ']'; index++) {
+        readValue([...path, index])
+        skipWhitespace()
+        if (text[pos] === ',') pos++
+        skipWhitespace()
+      }
+      pos++
+    } else if (text[pos] === '"') {
+      const string = readString()
+      const replacement = replace(path, string.value)
+      if (replacement !== undefined && replacement !== string.value) {
+        edits.push({...string, replacement})
+      }
+    } else {
+      while (pos < text.length && !valueEnd.test(text[pos])) pos++
+    }
+  }
+
+  readValue([])
+  return edits.reduceRight(
+    (result, edit) => result.slice(0, edit.start) + JSON.stringify(edit.replacement) + result.slice(edit.end),
+    text
+  )
+}
@@ -0,0 +1,201 @@
+import {execFile, execFileSync} from 'node:child_process'
+import * as fs from 'node:fs/promises'
+import {readFile, readFileSync} from 'node:fs'
+import * as path from 'node:path'
+import {promisify} from 'node:util'
+import {EjsonKeyNotFoundError} from './errors.js'
+import {derivePublicKey} from './keys.js'
+import {runAsync, runSync} from './run.js'
+
+// A key provider has a `name` and `getPrivateKey(publicKey, conf)`, and optionally `getPrivateKeySync`.
+// Both return the private key, or throw a KeyProviderMiss telling where they looked and why nothing was found.
+export class KeyProviderMiss extends Error {
+  constructor(location, reason, misses = []) {
+    super(`${location}: ${reason}`)
+    this.name = 'KeyProviderMiss'
+    this.location = location
+    this.reason = reason
+    this.misses = misses
+  }
+}
+
+const missAll = (misses) => misses.length === 1
+  ? misses[0]
+  : new KeyProviderMiss(misses.map((miss) => miss.location).join(', '), 'not found', misses)
+
+// The value is a single private key, a JSON object or `pub1:priv1,pub2:priv2` mapping public keys to private keys.
+// A single key is only used for the public key it belongs to.
+const parseKeyList = (value) => {
+  const trimmed = value.trim()
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed)
+  } else if (trimmed.includes(':')) {
+    return Object.fromEntries(trimmed.split(/[,\s]+/).filter(Boolean).map((pair) => pair.split(':')))
+  }
+  return {[derivePublicKey(trimmed)]: trimmed}
+}
+
+const fileReason = (e) => e.code === 'ENOENT' ? 'not found' : e.message
+
+export const envKeyProvider = (options = {}) => {
+  const variable = options.variable ?? 'NODE_EJSON_PRIVATE_KEY'
+  const getPrivateKeySync = (publicKey) => {
+    if (!process.env[variable]) {
+      throw new KeyProviderMiss(variable, 'not set')
+    }
+    let keys
+    try {
+      keys = parseKeyList(process.env[variable])
+    } catch (e) {
+      throw new KeyProviderMiss(variable, 'invalid value')
+    }
+    if (!keys[publicKey]) {
+      throw new KeyProviderMiss(variable, 'no key for this public key')
+    }
+    return keys[publicKey]
+  }
+  return {name: 'env', getPrivateKey: async (publicKey) => getPrivateKeySync(publicKey), getPrivateKeySync}
+}
+
+const readKeyFile = function* (keyFiles, readFile) {
+  const misses = []
+  for (const keyFile of keyFiles) {
+    try {
+      return (yield readFile(keyFile, 'utf8')).trim()
+    } catch (e) {
+      misses.push(new KeyProviderMiss(keyFile, fileReason(e)))
+    }
+  }
+  throw missAll(misses)
+}
+
+// `keysDir` can be a search path of directories separated by `:`, like EJSON_KEYDIR.
+export const keysDirProvider = (options = {}) => {
+  const keyFiles = (publicKey, conf) => (options.keysDir ?? conf.keysDir)
+    .split(path.delimiter)
+    .filter(Boolean)
+    .map((keysDir) => path.join(keysDir, publicKey))
+  return {
+    name: 'keysDir',
+    getPrivateKey: (publicKey, conf) => runAsync(readKeyFile(keyFiles(publicKey, conf), fs.readFile)),
+    getPrivateKeySync: (publicKey, conf) => runSync(readKeyFile(keyFiles(publicKey, conf), readFileSync))
+  }
+}
+
+export const keyMapProvider = (keys) => {
+  const getPrivateKeySync = (publicKey) => {
+    if (!keys[publicKey]) {
+      throw new KeyProviderMiss('key map', 'no entry')
+    }
+    return keys[publicKey]
+  }
+  return {name: 'keyMap', getPrivateKey: async (publicKey) => getPrivateKeySync(publicKey), getPrivateKeySync}
+}
+
+// Reads keys from a file descriptor, stdin by default, in the same formats as the env provider.
+// The descriptor is read once and the keys reused.
+export const fdKeyProvider = (fd = 0) => {
+  const location = fd === 0 ? 'stdin' : `fd ${fd}`
+  let keys
+  let reading
+  const readKey = function* (publicKey, read) {
+    try {
+      keys ??= parseKeyList(yield read())
+    } catch (e) {
+      throw new KeyProviderMiss(location, e.message)
+    }
+    if (!keys[publicKey]) {
+      throw new KeyProviderMiss(location, 'no key for this public key')
+    }
+    return keys[publicKey]
+  }
+  return {
+    name: 'fd',
+    getPrivateKey: (publicKey) => runAsync(readKey(publicKey, () => reading ??= promisify(readFile)(fd, 'utf8'))),
+    getPrivateKeySync: (publicKey) => runSync(readKey(publicKey, () => readFileSync(fd, 'utf8')))
+  }
+}
+
+// Runs a local executable with the public key as its last argument and uses what it prints as the private key.
+// The command is stopped after `timeout` milliseconds.
+export const commandKeyProvider = (command, args = [], options = {}) => {
+  const location = `command ${command}`
+  const timeout = options.timeout ?? 10000
+  const commandReason = (e) => e.killed || e.code === 'ETIMEDOUT'
+    ? `timed out after ${timeout} ms`
+    : e.stderr?.toString().trim() || e.message
+  const readKey = function* (run) {
+    let stdout
+    try {
+      stdout = yield run()
+    } catch (e) {
+      throw new KeyProviderMiss(location, commandReason(e))
+    }
+    if (!stdout.trim()) {
+      throw new KeyProviderMiss(location, 'no output')
+    }
+    return stdout.trim()
+  }
+  return {
+    name: 'command',
+    getPrivateKey: (publicKey) => runAsync(readKey(async () => {
+      const {stdout} = await promisify(execFile)(command, [...args, publicKey], {timeout})
+      return stdout
+    })),
+    getPrivateKeySync: (publicKey) => runSync(readKey(() => execFileSync(command, [...args, publicKey], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+      timeout
+    })))
+  }
+}
+
+export const defaultKeyProviders = [envKeyProvider(), keysDirProvider()]
+
+const providerFailures = (provider, e) => {
+  if (!(e instanceof KeyProviderMiss)) {
+    return [{provider: provider.name, location: provider.name, reason: e.message}]
+  }
+  return (e.misses.length ? e.misses : [e]).map((miss) => ({provider: provider.name, location: miss.location, reason: miss.reason}))
+}
+
+// Public keys name key files and are passed to commands, so anything else is rejected before a provider runs.
+const checkPublicKey = (publicKey) => {
+  if (!/^[0-9a-f]{64}$/i.test(publicKey ?? '')) {
+    throw new EjsonKeyNotFoundError(publicKey, {failures: [{location: 'public key', reason: 'not 64 hex characters'}]})
+  }
+}
+
+// Asks each provider in turn and returns the first key found. When none has it,
+// the error lists every place searched and why it failed.
+const readKeyFromProviders = function* (providers, publicKey, getProviderKey) {
+  checkPublicKey(publicKey)
+  const failures = []
+  for (const provider of providers) {
+    try {
+      const privateKey = yield getProviderKey(provider)
+      if (!privateKey) {
+        throw new KeyProviderMiss(provider.name, 'no key')
+      }
+      return privateKey
+    } catch (e) {
+      failures.push(...providerFailures(provider, e))
+    }
+  }
+  throw new EjsonKeyNotFoundError(publicKey, {failures})
+}
+
+export const getKeyFromProviders = (providers, publicKey, conf) => runAsync(
+  readKeyFromProviders(providers, publicKey, (provider) => provider.getPrivateKey(publicKey, conf))
+)
+
+const getProviderKeySync = (provider, publicKey, conf) => {
+  if (!provider.getPrivateKeySync) {
+    throw new KeyProviderMiss(provider.name, 'no synchronous lookup')
+  }
+  return provider.getPrivateKeySync(publicKey, conf)
+}
+
+export const getKeyFromProvidersSync = (providers, publicKey, conf) => runSync(
+  readKeyFromProviders(providers, publicKey, (provider) => getProviderKeySync(provider, publicKey, conf))
+)
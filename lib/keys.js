@@ -0,0 +1,6 @@
+import nacl from './nacl-fast.js'
+
+export const derivePublicKey = (privateKey) => {
+  const keyPair = nacl.box.keyPair.fromSecretKey(Buffer.from(privateKey, 'hex'))
+  return Buffer.from(keyPair.publicKey).toString('hex')
+}
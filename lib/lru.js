@@ -0,0 +1,26 @@
+// A Map-like cache holding at most `size` entries, dropping the least recently used one first.
+export const lruCache = (size) => {
+  const entries = new Map()
+  return {
+    has: (key) => entries.has(key),
+    get: (key) => {
+      if (!entries.has(key)) {
+        return undefined
+      }
+      const value = entries.get(key)
+      entries.delete(key)
+      entries.set(key, value)
+      return value
+    },
+    set: (key, value) => {
+      entries.delete(key)
+      entries.set(key, value)
+      if (entries.size > size) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+    get size() {
+      return entries.size
+    }
+  }
+}
@@ -0,0 +1,19 @@
+export const joinPath = (parent, key) => parent ? `${parent}.${key}` : String(key)
+
+const segmentPattern = (segment) => new RegExp(`^${segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replaceAll('*', '.*')}$`)
+
+const matchSegments = (globParts, pathParts) => {
+  if (globParts.length === 0) {
+    return pathParts.length === 0
+  }
+  const [head, ...rest] = globParts
+  if (head === '**') {
+    return pathParts.some((part, index) => matchSegments(rest, pathParts.slice(index))) || matchSegments(rest, [])
+  }
+  return pathParts.length > 0 && segmentPattern(head).test(pathParts[0]) && matchSegments(rest, pathParts.slice(1))
+}
+
+// `*` matches within one path segment, `**` matches any number of segments.
+export const matchPath = (glob, path) => matchSegments(glob.split('.'), path.split('.'))
+
+export const matchesAnyPath = (globs, path) => globs.some((glob) => matchPath(glob, path))
@@ -0,0 +1,104 @@
+import {EjsonParseError} from './errors.js'
+
+const isWhitespace = (c) => c === ' ' || c === '\n' || c === '\r' || c === '\t'
+
+// Splits newline-delimited JSON, or a top-level JSON array, into the text of one record
+// at a time. Only the record being read is kept in memory.
+export const createRecordSplitter = () => {
+  let mode
+  let buffer = ''
+  let depth = 0
+  let inString = false
+  let escaped = false
+  let elements = 0
+  let done = false
+
+  const splitLines = (text, records) => {
+    const lines = (buffer + text).split('\n')
+    buffer = lines.pop()
+    records.push(...lines.filter((line) => line.trim()))
+  }
+
+  // An empty element only passes in `[]`, so `[,1]` and `[1,]` fail when parsed.
+  const endElement = (records, required) => {
+    const element = buffer.trim()
+    buffer = ''
+    if (element || required) {
+      records.push(element)
+    }
+  }
+
+  const splitArray = (text, records) => {
+    let start = 0
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i]
+      if (done) {
+        if (!isWhitespace(c)) {
+          throw new EjsonParseError('Unexpected data after the top-level array', {reason: 'INVALID_JSON'})
+        }
+      } else if (inString) {
+        if (escaped) {
+          escaped = false
+        } else if (c === '\\') {
+          escaped = true
+        } else if (c === '"') {
+          inString = false
+        }
+      } else if (c === '"') {
+        inString = true
+      } else if (c === '{' || c === '[') {
+        depth++
+      } else if ((c === '}' || c === ']') && --depth === 0) {
+        buffer += text.slice(start, i)
+        endElement(records, elements > 0)
+        done = true
+      } else if (c === ',' && depth === 1) {
+        buffer += text.slice(start, i)
+        endElement(records, true)
+        elements++
+        start = i + 1
+      }
+    }
+    if (!done) {
+      buffer += text.slice(start)
+    }
+  }
+
+  const split = (text, records) => {
+    if (!mode) {
+      const first = text.search(/\S/)
+      if (first === -1) {
+        return
+      }
+      mode = text[first] === '[' ? 'array' : 'lines'
+      if (mode === 'array') {
+        depth = 1
+        text = text.slice(first + 1)
+      }
+    }
+    if (mode === 'lines') {
+      splitLines(text, records)
+    } else {
+      splitArray(text, records)
+    }
+  }
+
+  return {
+    push: (text) => {
+      const records = []
+      split(text, records)
+      return records
+    },
+    end: (text = '') => {
+      const records = []
+      split(text, records)
+      if (mode === 'lines' && buffer.trim()) {
+        records.push(buffer)
+      } else if (mode === 'array' && !done) {
+        throw new EjsonParseError('Unexpected end of input in the top-level array', {reason: 'INVALID_JSON'})
+      }
+      buffer = ''
+      return records
+    }
+  }
+}
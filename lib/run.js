@@ -0,0 +1,25 @@
+// Steps are generators that yield whatever they need to wait for, so the same
+// code runs synchronously with sync readers and asynchronously with async ones.
+
+export const runSync = (steps) => {
+  let step = steps.next()
+  while (!step.done) {
+    step = steps.next(step.value)
+  }
+  return step.value
+}
+
+export const runAsync = async (steps) => {
+  let step = steps.next()
+  while (!step.done) {
+    let value
+    try {
+      value = await step.value
+    } catch (e) {
+      step = steps.throw(e)
+      continue
+    }
+    step = steps.next(value)
+  }
+  return step.value
+}
@@ -0,0 +1,55 @@
+import {joinPath} from './paths.js'
+import {reveal} from './secret.js'
+
+// A small JSON Schema subset: type, enum, pattern, required, properties, items
+// and `encrypted`, which requires the value to be encrypted in the EJSON file.
+
+const typeOf = (value) => value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+
+const matchesType = (value, type) => type === 'integer' ? Number.isInteger(value) : typeOf(value) === type
+
+const describePath = (path) => path || '(root)'
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith('EJ[')
+
+export const validateSchema = (input, schema, options = {}) => {
+  const {raw, path = ''} = options
+  const value = reveal(input)
+  const problems = []
+  const problem = (message) => problems.push({path, message: `${describePath(path)}: ${message}`})
+
+  if (schema.encrypted && !isEncrypted(raw)) {
+    problem('must be encrypted in the EJSON file')
+  }
+  if (schema.type) {
+    const types = [schema.type].flat()
+    if (!types.some((type) => matchesType(value, type))) {
+      problem(`expected ${types.join(' or ')}, got ${typeOf(value)}`)
+      return problems
+    }
+  }
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    problem(`must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}`)
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    problem(`must match pattern ${schema.pattern}`)
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        problems.push({path: joinPath(path, key), message: `${joinPath(path, key)}: is required`})
+      }
+    }
+    for (const key in schema.properties ?? {}) {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(value[key], schema.properties[key], {raw: raw?.[key], path: joinPath(path, key)}))
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(item, schema.items, {raw: raw?.[index], path: joinPath(path, index)}))
+    })
+  }
+  return problems
+}
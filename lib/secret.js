@@ -0,0 +1,30 @@
+import {inspect} from 'node:util'
+
+const redacted = '[REDACTED]'
+
+// Holds a decrypted value so that logging or serializing the config does not print it.
+export class Secret {
+  #value
+
+  constructor(value) {
+    this.#value = value
+  }
+
+  reveal() {
+    return this.#value
+  }
+
+  toString() {
+    return redacted
+  }
+
+  toJSON() {
+    return redacted
+  }
+
+  [inspect.custom]() {
+    return redacted
+  }
+}
+
+export const reveal = (value) => value instanceof Secret ? value.reveal() : value
@@ -0,0 +1,345 @@
+import {unescapeToml} from './escapes.js'
+
+// A minimal TOML reader and writer for config files. Dates and times are read as strings,
+// and null values cannot be written since TOML has no null.
+
+const setKey = (object, key, value) => {
+  Object.defineProperty(object, key, {value, enumerable: true, configurable: true, writable: true})
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+const bareKey = /^[A-Za-z0-9_-]+$/
+
+// `found(path, start, end, value)` is called with the position of each string and number value.
+const parse = (text, found) => {
+  const root = {}
+  let pos = 0
+  let table = root
+  let tablePath = []
+  // Tables defined by a header, which may not be defined again.
+  const defined = new Set()
+
+  const fail = (message) => {
+    const line = text.slice(0, pos).split('\n').length
+    throw new SyntaxError(`${message} at line ${line}`)
+  }
+
+  const skipSpaces = () => {
+    while (text[pos] === ' ' || text[pos] === '\t') pos++
+  }
+
+  const skipComment = () => {
+    if (text[pos] === '#') {
+      while (pos < text.length && text[pos] !== '\n') pos++
+    }
+  }
+
+  // Skips whitespace, newlines and comments, as allowed between array elements and statements.
+  const skipBlank = () => {
+    while (pos < text.length) {
+      skipSpaces()
+      skipComment()
+      if (text[pos] === '\n' || text[pos] === '\r') {
+        pos++
+      } else {
+        return
+      }
+    }
+  }
+
+  const expect = (token) => {
+    if (!text.startsWith(token, pos)) {
+      fail(`Expected ${token}`)
+    }
+    pos += token.length
+  }
+
+  const readUntil = (end, multiline) => {
+    let close = text.indexOf(end, pos)
+    if (close === -1 || (!multiline && text.slice(pos, close).includes('\n'))) {
+      fail('Unterminated string')
+    }
+    // Up to two quotes may come right before the closing delimiter of a multi-line string.
+    for (let extra = 0; multiline && extra < 2 && text[close + end.length] === end[0]; extra++) {
+      close++
+    }
+    const value = text.slice(pos, close)
+    pos = close + end.length
+    return value
+  }
+
+  const readBasicString = () => {
+    pos++
+    const start = pos
+    while (text[pos] !== '"') {
+      if (pos >= text.length || text[pos] === '\n') {
+        fail('Unterminated string')
+      }
+      pos += text[pos] === '\\' ? 2 : 1
+    }
+    return unescapeToml(text.slice(start, pos++))
+  }
+
+  const readString = () => {
+    if (text.startsWith('"""', pos)) {
+      pos += 3
+      const body = readUntil('"""', true).replace(/^\r?\n/, '')
+      return unescapeToml(body.replace(/\\[ \t]*\r?\n\s*/g, ''))
+    } else if (text.startsWith('\'\'\'', pos)) {
+      pos += 3
+      return readUntil('\'\'\'', true).replace(/^\r?\n/, '')
+    } else if (text[pos] === '"') {
+      return readBasicString()
+    }
+    pos++
+    return readUntil('\'', false)
+  }
+
+  const readKey = () => {
+    skipSpaces()
+    if (text[pos] === '"' || text[pos] === '\'') {
+      return readString()
+    }
+    const start = pos
+    while (pos < text.length && /[A-Za-z0-9_-]/.test(text[pos])) pos++
+    if (start === pos) {
+      fail('Expected a key')
+    }
+    return text.slice(start, pos)
+  }
+
+  const readKeyPath = () => {
+    const keys = [readKey()]
+    skipSpaces()
+    while (text[pos] === '.') {
+      pos++
+      keys.push(readKey())
+      skipSpaces()
+    }
+    return keys
+  }
+
+  const readNumberOrDate = () => {
+    const start = pos
+    while (pos < text.length && /[0-9A-Za-z_+\-.:]/.test(text[pos])) pos++
+    // A date and a time may be separated by a space.
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text.slice(start, pos)) && /^ \d{2}:/.test(text.slice(pos, pos + 4))) {
+      pos++
+      while (pos < text.length && /[0-9A-Za-z_+\-.:]/.test(text[pos])) pos++
+    }
+    const token = text.slice(start, pos)
+    const digits = token.replaceAll('_', '')
+    if (/^[-+]?(0|[1-9](_?[0-9])*)$/.test(token)) {
+      return Number(digits)
+    } else if (/^0x[0-9a-fA-F](_?[0-9a-fA-F])*$/.test(token)) {
+      return parseInt(digits.slice(2), 16)
+    } else if (/^0o[0-7](_?[0-7])*$/.test(token)) {
+      return parseInt(digits.slice(2), 8)
+    } else if (/^0b[01](_?[01])*$/.test(token)) {
+      return parseInt(digits.slice(2), 2)
+    } else if (/^[-+]?(0|[1-9](_?[0-9])*)(\.[0-9](_?[0-9])*)?([eE][-+]?[0-9](_?[0-9])*)?$/.test(token)) {
+      return Number(digits)
+    } else if (/^[-+]?(inf|nan)$/.test(token)) {
+      return token.endsWith('nan') ? NaN : token[0] === '-' ? -Infinity : Infinity
+    } else if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(token)) {
+      return token
+    }
+    fail(`Invalid value ${token}`)
+  }
+
+  const readValue = (path) => {
+    skipSpaces()
+    const start = pos
+    if (text[pos] === '"' || text[pos] === '\'') {
+      const value = readString()
+      found(path, start, pos, value)
+      return value
+    } else if (text[pos] === '[') {
+      pos++
+      const list = []
+      skipBlank()
+      while (text[pos] !== ']') {
+        list.push(readValue([...path, list.length]))
+        skipBlank()
+        if (text[pos] === ',') {
+          pos++
+          skipBlank()
+        } else if (text[pos] !== ']') {
+          fail('Expected , or ] in array')
+        }
+      }
+      pos++
+      return list
+    } else if (text[pos] === '{') {
+      pos++
+      const inline = {}
+      skipSpaces()
+      while (text[pos] !== '}') {
+        readKeyValue(inline, path)
+        skipSpaces()
+        if (text[pos] === ',') {
+          pos++
+        } else if (text[pos] !== '}') {
+          fail('Expected , or } in inline table')
+        }
+      }
+      pos++
+      return inline
+    } else if (text.startsWith('true', pos) || text.startsWith('false', pos)) {
+      const value = text.startsWith('true', pos)
+      pos += value ? 4 : 5
+      return value
+    }
+    const value = readNumberOrDate()
+    found(path, start, pos, value)
+    return value
+  }
+
+  // Walks to the table at `keys`, creating missing tables and entering the last table of arrays of
+  // tables. Returns the table with its path, which holds the indexes of the tables it entered.
+  const walk = (from, fromPath, keys) => keys.reduce(([current, path], key) => {
+    if (!Object.hasOwn(current, key)) {
+      setKey(current, key, {})
+    }
+    const next = current[key]
+    const target = Array.isArray(next) ? next[next.length - 1] : next
+    if (!isPlainObject(target)) {
+      fail(`Key ${key} is not a table`)
+    }
+    return [target, Array.isArray(next) ? [...path, key, next.length - 1] : [...path, key]]
+  }, [from, fromPath])
+
+  const readKeyValue = (target, targetPath) => {
+    const keys = readKeyPath()
+    expect('=')
+    const [parent, parentPath] = walk(target, targetPath, keys.slice(0, -1))
+    const key = keys[keys.length - 1]
+    const value = readValue([...parentPath, key])
+    if (Object.hasOwn(parent, key)) {
+      fail(`Duplicate key ${keys.join('.')}`)
+    }
+    setKey(parent, key, value)
+  }
+
+  const endLine = () => {
+    skipSpaces()
+    skipComment()
+    if (pos < text.length && text[pos] !== '\n' && !text.startsWith('\r\n', pos)) {
+      fail('Expected the end of the line')
+    }
+  }
+
+  skipBlank()
+  while (pos < text.length) {
+    if (text.startsWith('[[', pos)) {
+      pos += 2
+      const keys = readKeyPath()
+      expect(']]')
+      const [parent, parentPath] = walk(root, [], keys.slice(0, -1))
+      const key = keys[keys.length - 1]
+      if (!Object.hasOwn(parent, key)) {
+        setKey(parent, key, [])
+      }
+      if (!Array.isArray(parent[key])) {
+        fail(`Key ${keys.join('.')} is not an array of tables`)
+      }
+      table = {}
+      tablePath = [...parentPath, key, parent[key].length]
+      parent[key].push(table)
+    } else if (text[pos] === '[') {
+      pos++
+      const keys = readKeyPath()
+      expect(']')
+      const [headerTable, headerPath] = walk(root, [], keys)
+      if (defined.has(headerTable)) {
+        fail(`Duplicate table ${keys.join('.')}`)
+      }
+      defined.add(headerTable)
+      table = headerTable
+      tablePath = headerPath
+    } else {
+      readKeyValue(table, tablePath)
+    }
+    endLine()
+    skipBlank()
+  }
+  return root
+}
+
+export const parseToml = (text) => parse(text, () => {})
+
+const formatKey = (key) => bareKey.test(key) ? key : JSON.stringify(key)
+
+// `numbers` maps paths to the number tokens of the source text, so that `1.0` stays a float.
+const formatValue = (value, path, numbers) => {
+  if (typeof value === 'string') {
+    return JSON.stringify(value)
+  } else if (typeof value === 'number' && Object.is(numbers.get(path)?.value, value)) {
+    return numbers.get(path).token
+  } else if (typeof value === 'number') {
+    return Number.isNaN(value) ? 'nan' : Number.isFinite(value) ? String(value) : value > 0 ? 'inf' : '-inf'
+  } else if (typeof value === 'boolean') {
+    return String(value)
+  } else if (Array.isArray(value)) {
+    return `[${value.map((item, i) => formatValue(item, `${path}.${i}`, numbers)).join(', ')}]`
+  } else if (isPlainObject(value)) {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined)
+    return `{${entries.map(([key, item]) => `${formatKey(key)} = ${formatValue(item, `${path}.${key}`, numbers)}`).join(', ')}}`
+  }
+  throw new TypeError(`TOML cannot represent ${value} at ${path}`)
+}
+
+const isTableArray = (value) => Array.isArray(value) && value.length > 0 && value.every(isPlainObject)
+
+const writeTable = (table, path, lines, numbers) => {
+  const entries = Object.entries(table).filter(([, value]) => value !== undefined)
+  const header = (keys) => keys.map(formatKey).join('.')
+  for (const [key, value] of entries) {
+    if (!isPlainObject(value) && !isTableArray(value)) {
+      lines.push(`${formatKey(key)} = ${formatValue(value, [...path, key].join('.'), numbers)}`)
+    }
+  }
+  for (const [key, value] of entries) {
+    if (isPlainObject(value)) {
+      // A table holding only other tables is created by their headers.
+      if (!Object.values(value).every((item) => isPlainObject(item) || isTableArray(item)) || !Object.keys(value).length) {
+        lines.push('', `[${header([...path, key])}]`)
+      }
+      writeTable(value, [...path, key], lines, numbers)
+    } else if (isTableArray(value)) {
+      for (const item of value) {
+        lines.push('', `[[${header([...path, key])}]]`)
+        writeTable(item, [...path, key], lines, numbers)
+      }
+    }
+  }
+}
+
+// Numbers keep their token from `source`, the text the document was read from, if given.
+export const stringifyToml = (doc, source) => {
+  const numbers = new Map()
+  if (source !== undefined) {
+    parse(source, (path, start, end, value) => {
+      if (typeof value === 'number') {
+        numbers.set(path.join('.'), {value, token: source.slice(start, end)})
+      }
+    })
+  }
+  const lines = []
+  writeTable(doc, [], lines, numbers)
+  return lines.join('\n').replace(/^\n/, '') + '\n'
+}
+
+// Replaces string values in TOML text without touching the surrounding formatting and comments.
+// `replace(path, value)` returns the new value for the string at `path`, or undefined to keep it.
+export const rewriteTomlStrings = (text, replace) => {
+  const edits = []
+  parse(text, (path, start, end, value) => {
+    const replacement = typeof value === 'string' ? replace(path, value) : undefined
+    if (replacement !== undefined && replacement !== value) {
+      edits.push({start, end, text: JSON.stringify(replacement)})
+    }
+  })
+  return edits.reduceRight((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text)
+}
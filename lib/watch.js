@@ -0,0 +1,57 @@
+import {watch} from 'node:fs'
+import * as path from 'node:path'
+import {joinPath} from './paths.js'
+import {reveal} from './secret.js'
+
+// Watches the directories of the files, so that files replaced by editors or deploys are still seen.
+export const watchFiles = (filePaths, onChange, debounceMs) => {
+  let timer
+  const watchedNames = new Map()
+  for (const filePath of filePaths) {
+    const dir = path.dirname(filePath)
+    watchedNames.set(dir, [...watchedNames.get(dir) ?? [], path.basename(filePath)])
+  }
+  const watchers = []
+  for (const [dir, names] of watchedNames) {
+    try {
+      watchers.push(watch(dir, (eventType, filename) => {
+        if (!filename || names.includes(filename)) {
+          clearTimeout(timer)
+          timer = setTimeout(onChange, debounceMs)
+        }
+      }))
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e
+      }
+    }
+  }
+  return {
+    close: () => {
+      clearTimeout(timer)
+      watchers.forEach((watcher) => watcher.close())
+    }
+  }
+}
+
+const isObject = (value) => typeof value === 'object' && value !== null
+
+// Lists the paths whose values differ, without including the values themselves.
+export const diffPaths = (previous, next, parentPath = '', changes = []) => {
+  const keys = new Set([...Object.keys(previous ?? {}), ...Object.keys(next ?? {})])
+  for (const key of keys) {
+    const fieldPath = joinPath(parentPath, key)
+    const before = reveal(previous?.[key])
+    const after = reveal(next?.[key])
+    if (isObject(before) && isObject(after)) {
+      diffPaths(before, after, fieldPath, changes)
+    } else if (before === undefined && after !== undefined) {
+      changes.push({path: fieldPath, change: 'added'})
+    } else if (before !== undefined && after === undefined) {
+      changes.push({path: fieldPath, change: 'removed'})
+    } else if (before !== after) {
+      changes.push({path: fieldPath, change: 'changed'})
+    }
+  }
+  return changes
+}
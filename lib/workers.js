@@ -0,0 +1,31 @@
+import {once} from 'node:events'
+import {Worker} from 'node:worker_threads'
+
+const runBatch = async (worker, batch) => {
+  worker.postMessage(batch)
+  const [results] = await once(worker, 'message')
+  return results
+}
+
+// Hands out the jobs in batches to a pool of `workers` threads, each taking the next batch
+// when done with the previous one, and returns the results in job order.
+export const runInWorkers = async (workerFile, jobs, {workers, batchSize = 500}) => {
+  const batches = []
+  for (let i = 0; i < jobs.length; i += batchSize) {
+    batches.push(jobs.slice(i, i + batchSize))
+  }
+  const results = new Array(batches.length)
+  const pool = Array.from({length: Math.min(workers, batches.length)}, () => new Worker(workerFile))
+  let next = 0
+  try {
+    await Promise.all(pool.map(async (worker) => {
+      while (next < batches.length) {
+        const index = next++
+        results[index] = await runBatch(worker, batches[index])
+      }
+    }))
+  } finally {
+    await Promise.all(pool.map((worker) => worker.terminate()))
+  }
+  return results.flat()
+}
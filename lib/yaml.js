@@ -0,0 +1,451 @@
+import {unescapeYaml} from './escapes.js'
+
+// A minimal YAML reader and writer for config files: block mappings and sequences, flow
+// collections, plain, quoted and block scalars. Anchors, aliases, tags and multiple
+// documents are not supported.
+
+const fail = (message, line) => {
+  throw new SyntaxError(line === undefined ? message : `${message} at line ${line.number + 1}`)
+}
+
+const setKey = (object, key, value) => {
+  Object.defineProperty(object, key, {value, enumerable: true, configurable: true, writable: true})
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+// Where a comment starts, ignoring `#` inside quoted scalars and words.
+const commentStart = (text) => {
+  let quote
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quote) {
+      if (c === '\\' && quote === '"') {
+        i++
+      } else if (c === quote) {
+        quote = undefined
+      }
+    } else if ((c === '"' || c === '\'') && (i === 0 || /[\s[{,]/.test(text[i - 1]))) {
+      quote = c
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return i
+    }
+  }
+  return text.length
+}
+
+// Lines keep their offset in the text, so that scalars can be found again for rewriting.
+const readLines = (text) => {
+  let offset = 0
+  return text.split(/(?<=\n)/).map((source, number) => {
+    const raw = source.replace(/\r?\n$/, '')
+    const indent = raw.search(/[^ ]/)
+    const content = raw.slice(0, commentStart(raw)).trim()
+    if (content && raw[indent] === '\t') {
+      fail('Tabs are not allowed in indentation', {number})
+    }
+    const line = {number, offset, raw, indent, content}
+    offset += source.length
+    return line
+  })
+}
+
+const resolvePlain = (text) => {
+  if (/^(null|Null|NULL|~|)$/.test(text)) {
+    return null
+  } else if (/^(true|True|TRUE|false|False|FALSE)$/.test(text)) {
+    return text.toLowerCase() === 'true'
+  } else if (/^[-+]?[0-9]+$/.test(text) || /^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(text)) {
+    return Number(text)
+  } else if (/^0x[0-9a-fA-F]+$/.test(text)) {
+    return parseInt(text.slice(2), 16)
+  } else if (/^0o[0-7]+$/.test(text)) {
+    return parseInt(text.slice(2), 8)
+  } else if (/^[-+]?\.(inf|Inf|INF)$/.test(text)) {
+    return text[0] === '-' ? -Infinity : Infinity
+  } else if (/^\.(nan|NaN|NAN)$/.test(text)) {
+    return NaN
+  }
+  return text
+}
+
+// Returns the index after the closing quote of the scalar starting at `start`.
+const quotedEnd = (text, start) => {
+  const quote = text[start]
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++
+    } else if (text[i] === quote) {
+      if (quote === '\'' && text[i + 1] === '\'') {
+        i++
+      } else {
+        return i + 1
+      }
+    }
+  }
+  return -1
+}
+
+const parseQuoted = (text) => text[0] === '"'
+  ? unescapeYaml(text.slice(1, -1))
+  : text.slice(1, -1).replaceAll('\'\'', '\'')
+
+// `found(path, start, end, flow)` is called with the position of each string value.
+const parseFlow = (text, line, path, at, found) => {
+  let pos = 0
+  const skipSpaces = () => {
+    while (/\s/.test(text[pos] ?? '')) pos++
+  }
+  const readScalar = (terminators, valuePath) => {
+    const start = pos
+    let value
+    if (text[pos] === '"' || text[pos] === '\'') {
+      const end = quotedEnd(text, pos)
+      if (end === -1) {
+        fail('Unterminated quoted scalar', line)
+      }
+      value = parseQuoted(text.slice(pos, end))
+      pos = end
+    } else {
+      while (pos < text.length && !terminators.test(text[pos]) && !(text[pos] === ':' && /\s|$/.test(text[pos + 1] ?? ''))) pos++
+      value = resolvePlain(text.slice(start, pos).trim())
+    }
+    if (valuePath && typeof value === 'string') {
+      found(valuePath, at + start, at + start + text.slice(start, pos).trimEnd().length, true)
+    }
+    return value
+  }
+  const readNode = (nodePath) => {
+    skipSpaces()
+    if (text[pos] === '[') {
+      pos++
+      const list = []
+      while (true) {
+        skipSpaces()
+        if (text[pos] === ']') {
+          pos++
+          return list
+        }
+        list.push(readNode([...nodePath, list.length]))
+        skipSpaces()
+        if (text[pos] === ',') {
+          pos++
+        } else if (text[pos] !== ']') {
+          fail('Expected , or ] in flow sequence', line)
+        }
+      }
+    } else if (text[pos] === '{') {
+      pos++
+      const object = {}
+      while (true) {
+        skipSpaces()
+        if (text[pos] === '}') {
+          pos++
+          return object
+        }
+        const key = String(readScalar(/[,{}[\]]/))
+        skipSpaces()
+        let value = null
+        if (text[pos] === ':') {
+          pos++
+          value = readNode([...nodePath, key])
+        }
+        setKey(object, key, value)
+        skipSpaces()
+        if (text[pos] === ',') {
+          pos++
+        } else if (text[pos] !== '}') {
+          fail('Expected , or } in flow mapping', line)
+        }
+      }
+    } else if (pos >= text.length) {
+      fail('Unexpected end of flow collection', line)
+    }
+    return readScalar(/[,{}[\]]/, nodePath)
+  }
+  const value = readNode(path)
+  skipSpaces()
+  if (pos < text.length) {
+    fail('Unexpected text after flow collection', line)
+  }
+  return value
+}
+
+const parseInline = (text, line, path, at, found) => {
+  let value
+  if (text[0] === '"' || text[0] === '\'') {
+    const end = quotedEnd(text, 0)
+    if (end === -1) {
+      fail('Unterminated quoted scalar', line)
+    } else if (end !== text.length) {
+      fail('Unexpected text after quoted scalar', line)
+    }
+    value = parseQuoted(text)
+  } else if (text[0] === '[' || text[0] === '{') {
+    return parseFlow(text, line, path, at, found)
+  } else if (/^[&*!%@`]/.test(text)) {
+    fail(`Unsupported YAML syntax ${text[0]}`, line)
+  } else if (/^\?(\s|$)/.test(text)) {
+    fail('Complex mapping keys are not supported', line)
+  } else if (/:(\s|$)/.test(text)) {
+    fail('Mapping values are not allowed here', line)
+  } else {
+    value = resolvePlain(text)
+  }
+  if (typeof value === 'string') {
+    found(path, at, at + text.length, false)
+  }
+  return value
+}
+
+// The rest of `content` after `index`, with its offset in `content`.
+const restOf = (content, index) => {
+  const rest = content.slice(index).trimStart()
+  return {rest, restStart: content.length - rest.length}
+}
+
+// Splits `key: value`, returning undefined for lines without a mapping key.
+const splitKey = (content) => {
+  if (content[0] === '"' || content[0] === '\'') {
+    const end = quotedEnd(content, 0)
+    const after = end === -1 ? '' : content.slice(end).trimStart()
+    return after[0] === ':' && /^:(\s|$)/.test(after)
+      ? {key: parseQuoted(content.slice(0, end)), ...restOf(content, content.length - after.length + 1)}
+      : undefined
+  } else if (/^[[{]/.test(content)) {
+    return undefined
+  }
+  const index = content.search(/:(\s|$)/)
+  return index > 0 ? {key: content.slice(0, index).trim(), ...restOf(content, index + 1)} : undefined
+}
+
+// Joins the lines of a folded block scalar with spaces, keeping blank lines as newlines.
+const fold = (lines) => lines.reduce((result, text, i) => {
+  if (text === '') {
+    return result + '\n'
+  }
+  return result + (i > 0 && lines[i - 1] !== '' ? ' ' : '') + text
+}, '')
+
+const isSequenceItem = (content) => content === '-' || content.startsWith('- ')
+
+const parse = (text, found) => {
+  const lines = readLines(text)
+  let index = 0
+  let documents = 0
+
+  const peek = () => {
+    while (index < lines.length) {
+      const line = lines[index]
+      if (line.indent === 0 && line.content === '---') {
+        if (++documents > 1 || lines.slice(0, index).some((previous) => previous.content)) {
+          fail('Multiple documents are not supported', line)
+        }
+      } else if (line.indent === 0 && line.content === '...') {
+        index = lines.length
+        return undefined
+      } else if (line.content) {
+        return line
+      }
+      index++
+    }
+    return undefined
+  }
+
+  // Block scalars keep their lines verbatim, so they are read from the raw text.
+  const parseBlockScalar = (header, parentIndent, line, path, at) => {
+    const match = /^([|>])([1-9]?[-+]?|[-+][1-9])$/.exec(header)
+    if (!match) {
+      fail('Invalid block scalar header', line)
+    }
+    const chomping = match[2].replace(/[1-9]/, '')
+    const body = []
+    let blockIndent
+    let end = at + header.length
+    while (index < lines.length) {
+      const {raw, offset} = lines[index]
+      const indent = raw.search(/\S/)
+      if (indent !== -1) {
+        if (indent <= parentIndent) {
+          break
+        }
+        blockIndent ??= indent
+        if (indent < blockIndent) {
+          break
+        }
+        end = offset + raw.length
+      }
+      body.push(indent === -1 ? '' : raw.slice(blockIndent))
+      index++
+    }
+    let trailing = 0
+    while (body.length && body[body.length - 1] === '') {
+      body.pop()
+      trailing++
+    }
+    // The header and the body are replaced together.
+    found(path, at, end, false)
+    const content = match[1] === '>' ? fold(body) : body.join('\n')
+    if (!body.length || chomping === '-') {
+      return content
+    }
+    return content + (chomping === '+' ? '\n'.repeat(trailing + 1) : '\n')
+  }
+
+  // `at` is the offset of `rest` in the text.
+  const parseValue = (rest, indent, line, inMapping, path, at) => {
+    if (rest === '') {
+      const child = peek()
+      if (child && child.indent > indent) {
+        return parseBlock(child.indent, path)
+      } else if (child && inMapping && child.indent === indent && isSequenceItem(child.content)) {
+        return parseSequence(indent, path)
+      }
+      return null
+    } else if (rest[0] === '|' || rest[0] === '>') {
+      return parseBlockScalar(rest, indent, line, path, at)
+    }
+    return parseInline(rest, line, path, at, found)
+  }
+
+  const contentStart = (line) => line.offset + line.indent
+
+  const parseMapping = (indent, path) => {
+    const object = {}
+    let line
+    while ((line = peek()) && line.indent === indent && !isSequenceItem(line.content)) {
+      const entry = splitKey(line.content)
+      if (!entry) {
+        fail('Expected a mapping key', line)
+      } else if (Object.hasOwn(object, entry.key)) {
+        fail(`Duplicate key ${entry.key}`, line)
+      }
+      index++
+      setKey(object, entry.key, parseValue(entry.rest, indent, line, true, [...path, entry.key], contentStart(line) + entry.restStart))
+    }
+    return object
+  }
+
+  const parseSequence = (indent, path) => {
+    const list = []
+    let line
+    while ((line = peek()) && line.indent === indent && isSequenceItem(line.content)) {
+      const {rest, restStart} = restOf(line.content, 1)
+      const itemPath = [...path, list.length]
+      if (isSequenceItem(rest) || splitKey(rest)) {
+        // The item starts on the dash line: read the rest of it as the first line of a nested block.
+        lines[index] = {...line, indent: indent + restStart, content: rest}
+        list.push(parseBlock(lines[index].indent, itemPath))
+      } else {
+        index++
+        list.push(parseValue(rest, indent, line, false, itemPath, contentStart(line) + restStart))
+      }
+    }
+    return list
+  }
+
+  const parseBlock = (indent, path) => {
+    const line = peek()
+    if (isSequenceItem(line.content)) {
+      return parseSequence(indent, path)
+    } else if (splitKey(line.content)) {
+      return parseMapping(indent, path)
+    }
+    index++
+    return parseValue(line.content, indent, line, false, path, contentStart(line))
+  }
+
+  const first = peek()
+  const value = first ? parseBlock(first.indent, []) : null
+  const extra = peek()
+  if (extra) {
+    fail('Unexpected indentation', extra)
+  }
+  return value
+}
+
+export const parseYaml = (text) => parse(text, () => {})
+
+// YAML 1.1 parsers read these words as booleans.
+const yaml11Booleans = /^(y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF)$/
+
+const needsQuotes = (text) => text === '' ||
+  text !== text.trim() ||
+  yaml11Booleans.test(text) ||
+  /^[-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+  /: |:$| #|[\x00-\x1f\x7f\x85\u2028\u2029]/.test(text) ||
+  resolvePlain(text) !== text
+
+const formatScalar = (value) => {
+  if (typeof value === 'string') {
+    return needsQuotes(value) ? JSON.stringify(value) : value
+  } else if (typeof value === 'number' && !Number.isFinite(value)) {
+    return Number.isNaN(value) ? '.nan' : value > 0 ? '.inf' : '-.inf'
+  } else if (Array.isArray(value)) {
+    return '[]'
+  } else if (isPlainObject(value)) {
+    return '{}'
+  }
+  return String(value ?? null)
+}
+
+const isNested = (value) => Array.isArray(value) ? value.length > 0 : isPlainObject(value) && Object.keys(value).length > 0
+
+const writeMapping = (object, indent, lines) => {
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) {
+      continue
+    }
+    const prefix = `${' '.repeat(indent)}${formatScalar(key)}:`
+    if (isNested(value)) {
+      lines.push(prefix)
+      writeNode(value, indent + 2, lines)
+    } else {
+      lines.push(`${prefix} ${formatScalar(value)}`)
+    }
+  }
+}
+
+const writeSequence = (list, indent, lines) => {
+  for (const item of list) {
+    const pad = ' '.repeat(indent)
+    if (isPlainObject(item) && isNested(item)) {
+      const itemLines = []
+      writeMapping(item, indent + 2, itemLines)
+      lines.push(`${pad}- ${itemLines[0].slice(indent + 2)}`, ...itemLines.slice(1))
+    } else if (isNested(item)) {
+      lines.push(`${pad}-`)
+      writeSequence(item, indent + 2, lines)
+    } else {
+      lines.push(`${pad}- ${formatScalar(item)}`)
+    }
+  }
+}
+
+const writeNode = (value, indent, lines) => Array.isArray(value)
+  ? writeSequence(value, indent, lines)
+  : writeMapping(value, indent, lines)
+
+export const stringifyYaml = (value) => {
+  if (!isNested(value)) {
+    return formatScalar(value) + '\n'
+  }
+  const lines = []
+  writeNode(value, 0, lines)
+  return lines.join('\n') + '\n'
+}
+
+// Replaces string values in YAML text without touching the surrounding formatting and comments.
+// `replace(path, value)` returns the new value for the string at `path`, or undefined to keep it.
+export const rewriteYamlStrings = (text, replace) => {
+  const doc = parseYaml(text)
+  const edits = []
+  parse(text, (path, start, end, flow) => {
+    const value = path.reduce((parent, key) => parent[key], doc)
+    const replacement = replace(path, value)
+    if (replacement !== undefined && replacement !== value) {
+      edits.push({start, end, text: flow ? JSON.stringify(replacement) : formatScalar(replacement)})
+    }
+  })
+  return edits.reduceRight((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), text)
+}
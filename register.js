@@ -0,0 +1,6 @@
+import {populateEnv, processEjson} from './ejson.js'
+
+populateEnv(await processEjson(), {
+  override: process.env.NODE_EJSON_ENV_OVERRIDE === 'true',
+  prefix: process.env.NODE_EJSON_ENV_PREFIX
+})
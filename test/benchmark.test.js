@@ -0,0 +1,47 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {randomBytes} from 'node:crypto'
+import {cryptoBackend, decrypt, encrypt, generateKeyPair, parseEncryptedValue, processEjsonSync} from '../ejson.js'
+import {lruCache} from '../lib/lru.js'
+
+const count = 2000
+
+// Values written by one encrypter session share the ephemeral public key, as ejson does.
+const largeEjson = () => {
+  const recipient = generateKeyPair()
+  const ephemeral = generateKeyPair()
+  const encrypterPublic = Buffer.from(ephemeral.publicKey, 'hex').toString('base64')
+  const recipientPublic = Buffer.from(recipient.publicKey, 'hex').toString('base64')
+  const doc = {_public_key: recipient.publicKey}
+  for (let i = 0; i < count; i++) {
+    const nonce = randomBytes(24).toString('base64')
+    doc[`secret_${i}`] = `EJ[1:${encrypterPublic}:${nonce}:${encrypt(`value ${i}`, nonce, recipientPublic, ephemeral.privateKey)}]`
+  }
+  return {doc, privateKey: recipient.privateKey}
+}
+
+test('values sharing an encrypter public key reuse the shared key', (t) => {
+  const {doc, privateKey} = largeEjson()
+  const keys = Object.keys(doc).filter((key) => !key.startsWith('_'))
+  const values = keys.map((key) => parseEncryptedValue(doc[key]))
+  const uncached = values.map(({box, nonce, encrypterPublic}) => decrypt(box, nonce, encrypterPublic, privateKey))
+
+  const sharedKeys = t.mock.method(cryptoBackend, 'sharedKey')
+  const result = processEjsonSync({configJson: doc, getPrivateKeySync: () => privateKey})
+  assert.equal(sharedKeys.mock.callCount(), 1)
+  assert.equal(result.secret_0, 'value 0')
+  assert.equal(result[`secret_${count - 1}`], `value ${count - 1}`)
+  assert.deepEqual(uncached, keys.map((key) => result[key]))
+})
+
+test('the shared key cache drops the least recently used key', (t) => {
+  const cache = lruCache(2)
+  cache.set('a', 1)
+  cache.set('b', 2)
+  assert.equal(cache.get('a'), 1)
+  cache.set('c', 3)
+  assert.equal(cache.size, 2)
+  assert.equal(cache.get('b'), undefined)
+  assert.equal(cache.get('a'), 1)
+  assert.equal(cache.get('c'), 3)
+})
@@ -0,0 +1,72 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import nacl from '../lib/nacl-fast.js'
+import {backends, naclBackend, nodeBackend, privateKeyObjects, selectBackend} from '../lib/box.js'
+import {cryptoBackend, decrypt, encrypt, generateKeyPair} from '../ejson.js'
+import {privateKey, publicKey} from './helpers.js'
+
+const hex = (bytes) => Buffer.from(bytes).toString('hex')
+const fromHex = (value) => Buffer.from(value, 'hex')
+
+// Produced by the TweetNaCl implementation before the node:crypto backend existed.
+const vectors = [
+  {publicKey, privateKey, sharedKey: '1b4e2a6bc8e53fc64a0c5a2c56fe995c921ae74a71747d0c09e5bc5f69598cf5'},
+  {publicKey: '00'.repeat(32), privateKey, sharedKey: '351f86faa3b988468a850122b65b0acece9c4826806aeee63de9c0da2bd7f91e'}
+]
+
+const box = {
+  message: 'Hello World!',
+  nonce: 'BwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcH',
+  box: '26d0w/3tvXWeyk/3WwYWjG2RAak1zfl4U8R7lQ=='
+}
+
+for (const backend of Object.values(backends)) {
+  test(`${backend.name} backend matches the shared key vectors`, (t) => {
+    for (const vector of vectors) {
+      assert.equal(hex(backend.sharedKey(fromHex(vector.publicKey), fromHex(vector.privateKey))), vector.sharedKey)
+    }
+  })
+
+  test(`${backend.name} backend matches the box vector`, (t) => {
+    const sharedKey = backend.sharedKey(fromHex(publicKey), fromHex(privateKey))
+    const sealed = nacl.box.after(Buffer.from(box.message), Buffer.from(box.nonce, 'base64'), sharedKey)
+    assert.equal(Buffer.from(sealed).toString('base64'), box.box)
+  })
+}
+
+test('backends agree on random key pairs', (t) => {
+  for (let i = 0; i < 20; i++) {
+    const ours = generateKeyPair()
+    const theirs = generateKeyPair()
+    assert.equal(
+      hex(nodeBackend.sharedKey(fromHex(theirs.publicKey), fromHex(ours.privateKey))),
+      hex(naclBackend.sharedKey(fromHex(theirs.publicKey), fromHex(ours.privateKey)))
+    )
+  }
+})
+
+test('encrypt and decrypt are unchanged', (t) => {
+  const theirPublicKey = fromHex(publicKey).toString('base64')
+  assert.equal(encrypt(box.message, box.nonce, theirPublicKey, privateKey), box.box)
+  assert.equal(decrypt(box.box, box.nonce, theirPublicKey, privateKey), box.message)
+})
+
+test('only private keys used for decryption are kept as key objects', (t) => {
+  const recipient = generateKeyPair()
+  const sender = generateKeyPair()
+  const theirPublicKey = fromHex(recipient.publicKey).toString('base64')
+  const sealed = encrypt(box.message, box.nonce, theirPublicKey, sender.privateKey)
+  assert.equal(privateKeyObjects.has(sender.privateKey), false)
+  assert.equal(decrypt(sealed, box.nonce, fromHex(sender.publicKey).toString('base64'), recipient.privateKey), box.message)
+  assert.equal(privateKeyObjects.has(recipient.privateKey), cryptoBackend === nodeBackend)
+})
+
+test('node:crypto is selected when it supports X25519', (t) => {
+  assert.equal(selectBackend(), nodeBackend)
+  assert.equal(cryptoBackend, selectBackend(process.env.NODE_EJSON_CRYPTO_BACKEND))
+})
+
+test('a backend can be selected by name', (t) => {
+  assert.equal(selectBackend('tweetnacl'), naclBackend)
+  assert.throws(() => selectBackend('libsodium'), /Unknown crypto backend libsodium/)
+})
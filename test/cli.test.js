@@ -0,0 +1,180 @@
+import {after, before, test} from 'node:test'
+import assert from 'node:assert/strict'
+import {execFile} from 'node:child_process'
+import * as fs from 'node:fs/promises'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {promisify} from 'node:util'
+import {parseEncryptedValue} from '../ejson.js'
+import {privateKey, publicKey} from './helpers.js'
+
+const cli = path.join(import.meta.dirname, '..', 'bin', 'ejson.js')
+const ejson = (...args) => promisify(execFile)(process.execPath, [cli, ...args], {env: {...process.env, NODE_EJSON_PRIVATE_KEY: ''}})
+
+
+let dir
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+  await fs.writeFile(path.join(dir, publicKey), privateKey)
+})
+after(async () => {
+  await fs.rm(dir, {recursive: true, force: true})
+})
+
+test('encrypt rewrites values in place preserving formatting', async (t) => {
+  const file = path.join(dir, 'encrypt.ejson')
+  await fs.writeFile(file, `{
+    "_public_key": "${publicKey}",
+    "secret":   "Hello World!",
+    "nested": {"list": ["a"], "_comment": "keep"}
+}
+`)
+  await ejson('encrypt', file)
+  const text = await fs.readFile(file, 'utf8')
+  const doc = JSON.parse(text)
+  assert.equal(parseEncryptedValue(doc.secret).schemaVersion, 1)
+  assert.equal(parseEncryptedValue(doc.nested.list[0]).schemaVersion, 1)
+  assert.match(text, /^ {4}"secret": {3}"EJ\[1:/m)
+  assert.match(text, /"_comment": "keep"}\n}\n$/)
+})
+
+test('decrypt prints the decrypted document', async (t) => {
+  const file = path.join(dir, 'decrypt.ejson')
+  const text = JSON.stringify({
+    _public_key: publicKey,
+    secret: 'Hello World!',
+    _plain: 'kept',
+    nested: {token: 'token', port: 5432}
+  }, null, 2) + '\n'
+  await fs.writeFile(file, text)
+  await ejson('encrypt', file)
+  const {stdout} = await ejson('decrypt', file, '--keydir', dir + '/')
+  assert.equal(stdout, text)
+})
+
+// Decrypted strings are written back quoted where the source quoted them differently.
+const formatSamples = {
+  '.eyaml': {
+    text: `# database settings
+_public_key: ${publicKey}
+secret: Hello World!  # rotated yearly
+list: [a, 'b']
+enabled: 'yes'
+nested:
+  _comment: keep
+  cert: |
+    line 1
+    line 2
+`,
+    decrypted: `# database settings
+_public_key: ${publicKey}
+secret: Hello World!  # rotated yearly
+list: ["a", "b"]
+enabled: "yes"
+nested:
+  _comment: keep
+  cert: "line 1\\nline 2\\n"
+`
+  },
+  '.etoml': {
+    text: `# database settings
+_public_key = "${publicKey}"
+secret = 'Hello World!'  # rotated yearly
+ratio = 1.0
+
+[nested]
+_comment = "keep"
+list = ["a", 2]
+`,
+    decrypted: `# database settings
+_public_key = "${publicKey}"
+secret = "Hello World!"  # rotated yearly
+ratio = 1.0
+
+[nested]
+_comment = "keep"
+list = ["a", 2]
+`
+  }
+}
+
+for (const [suffix, {text, decrypted}] of Object.entries(formatSamples)) {
+  test(`encrypt and decrypt keep the comments and layout of ${suffix} files`, async (t) => {
+    const file = path.join(dir, `comments${suffix}`)
+    await fs.writeFile(file, text)
+    await ejson('encrypt', file)
+    const encrypted = await fs.readFile(file, 'utf8')
+    assert.match(encrypted, /^# database settings$/m)
+    assert.match(encrypted, /^secret( = "|: )EJ\[1:.*\]"?  # rotated yearly$/m)
+    const {stdout} = await ejson('decrypt', file, '--keydir', dir + '/')
+    assert.equal(stdout, decrypted)
+  })
+}
+
+test('rotate keeps the comments of a YAML file', async (t) => {
+  const file = path.join(dir, 'rotate.eyaml')
+  await fs.writeFile(file, formatSamples['.eyaml'].text)
+  await ejson('encrypt', file)
+  const {stdout} = await ejson('keygen', '--write', '--keydir', dir)
+  const newPublicKey = stdout.trim()
+  await ejson('rotate', file, '--keydir', dir, '--public-key', newPublicKey)
+  const rotated = await fs.readFile(file, 'utf8')
+  assert.match(rotated, /^# database settings$/m)
+  assert.match(rotated, new RegExp(`^_public_key: ${newPublicKey}$`, 'm'))
+  assert.match(rotated, /^secret: EJ\[1:.*\]  # rotated yearly$/m)
+})
+
+test('keygen prints a key pair', async (t) => {
+  const {stdout} = await ejson('keygen')
+  assert.match(stdout, /^Public Key:\n[0-9a-f]{64}\nPrivate Key:\n[0-9a-f]{64}\n$/)
+})
+
+test('keygen --write stores the private key named by public key', async (t) => {
+  const {stdout} = await ejson('keygen', '--write', '--keydir', dir)
+  const stat = await fs.stat(path.join(dir, stdout.trim()))
+  assert.equal(stat.mode & 0o777, 0o400)
+})
+
+test('rotate re-encrypts the file to a new key', async (t) => {
+  const file = path.join(dir, 'rotate.ejson')
+  await fs.writeFile(file, JSON.stringify({_public_key: publicKey, secret: 'Hello World!', _plain: 'kept'}, null, 2))
+  await ejson('encrypt', file)
+  const {stdout} = await ejson('keygen', '--write', '--keydir', dir)
+  const newPublicKey = stdout.trim()
+  await ejson('rotate', file, '--keydir', dir + '/', '--public-key', newPublicKey)
+  const doc = JSON.parse(await fs.readFile(file, 'utf8'))
+  assert.equal(doc._public_key, newPublicKey)
+  assert.equal(doc._plain, 'kept')
+  const decrypted = await ejson('decrypt', file, '--keydir', dir + '/')
+  assert.equal(JSON.parse(decrypted.stdout).secret, 'Hello World!')
+  assert.deepEqual((await fs.readdir(dir)).filter((name) => name.endsWith('.tmp')), [])
+})
+
+test('rotate to several public keys', async (t) => {
+  const file = path.join(dir, 'rotate-multi.ejson')
+  await fs.writeFile(file, JSON.stringify({_public_key: publicKey, secret: 'Hello World!'}, null, 4) + '\n')
+  await ejson('encrypt', file)
+  const first = (await ejson('keygen', '--write', '--keydir', dir)).stdout.trim()
+  const second = (await ejson('keygen', '--write', '--keydir', dir)).stdout.trim()
+  await ejson('rotate', file, '--keydir', dir + '/', '-p', first, '-p', second)
+  const text = await fs.readFile(file, 'utf8')
+  assert.deepEqual(JSON.parse(text)._public_keys, [first, second])
+  assert.match(text, /^ {4}"_public_keys"/m)
+  const decrypted = await ejson('decrypt', file, '--keydir', dir + '/')
+  assert.equal(JSON.parse(decrypted.stdout).secret, 'Hello World!')
+})
+
+test('rotate without a new key fails', async (t) => {
+  await assert.rejects(ejson('rotate', path.join(dir, 'rotate.ejson')), (e) => e.stderr === 'ejson: missing --public-key\n')
+})
+
+test('inspect lists encrypted fields', async (t) => {
+  const {stdout} = await ejson('inspect', path.join(import.meta.dirname, 'test.json'))
+  assert.equal(stdout.split('\n')[0], `Public keys: ${publicKey}`)
+  assert.match(stdout, /^test_secret: encrypted v1 encrypter=jeDOl5qTBwflgRuusXrqoT5eclnznLKuCp8fxbuHjGg=$/m)
+  assert.match(stdout, /^nested\._test_unencrypted: unencrypted string$/m)
+})
+
+test('unknown command fails with usage', async (t) => {
+  await assert.rejects(ejson('nope'), (e) => e.code === 1 && e.stderr.startsWith('Usage: ejson'))
+})
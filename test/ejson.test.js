@@ -1,7 +1,34 @@
 import {after, before, test} from 'node:test'
 import assert from 'node:assert/strict'
-import {decrypt, defaultConfig, encrypt, parseEncryptedValue, processEjson} from '../ejson.js'
+import * as fs from 'node:fs/promises'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {
+  decrypt,
+  defaultConfig,
+  EjsonAggregateError,
+  EjsonDecryptionError,
+  EjsonKeyMismatchError,
+  EjsonKeyNotFoundError,
+  EjsonParseError,
+  EjsonPolicyError,
+  derivePublicKey,
+  describeEjson,
+  encrypt,
+  encryptEjson,
+  generateKeyPair,
+  getDocumentPrivateKey,
+  parseEncryptedValue,
+  populateEnv,
+  processEjson,
+  processEjsonSync,
+  redact,
+  rotateKeys,
+  Secret,
+  writeKeyPair
+} from '../ejson.js'
 import testEjson from './test.json' with {type: 'json'}
+import {keys} from './helpers.js'
 
 test('process with default config', async (t) => {
   try {
@@ -49,6 +76,293 @@ test('for nested config, works as non nested', async (t) => {
   assert.equal(result.nested.test_unencrypted, 'nested boom')
 })
 
+test('layers are merged with common first and overrides last', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+  t.after(() => fs.rm(dir, {recursive: true, force: true}))
+  const publicKey = testEjson._public_key
+  await fs.writeFile(path.join(dir, 'common.ejson'), JSON.stringify(encryptEjson({
+    _public_key: publicKey,
+    shared: 'common',
+    database: {host: 'localhost', port: 5432, password: 'common secret'}
+  })))
+  await fs.writeFile(path.join(dir, 'production.ejson'), JSON.stringify(encryptEjson({
+    _public_key: publicKey,
+    database: {host: 'db.example.com', password: 'production secret'}
+  })))
+  await fs.writeFile(path.join(dir, 'local.ejson'), JSON.stringify({database: {host: 'override'}}))
+  const result = await processEjson({
+    envFileDir: dir,
+    envFilePrefix: 'production',
+    commonLayers: ['common'],
+    overrideLayers: ['local', 'missing'],
+    getPrivateKey: (publicKey) => keys[publicKey]
+  })
+  assert.equal(result.shared, 'common')
+  assert.deepEqual(result.database, {host: 'override', port: 5432, password: 'production secret'})
+})
+
+test('layers can be given as parsed JSON and the primary layer is required', async (t) => {
+  const options = {
+    envFilePath: '/nonexistent/env.ejson',
+    commonLayers: [{configJson: testEjson}],
+    getPrivateKey: (publicKey) => keys[publicKey]
+  }
+  await assert.rejects(processEjson(options), {code: 'ENOENT'})
+  const result = await processEjson({...options, configJson: {_test_unencrypted: 'primary'}})
+  assert.equal(result.test_secret, testSecretValue)
+  assert.equal(result.test_unencrypted, 'primary')
+})
+
+test('populateEnv copies top level and environment scalars', (t) => {
+  const env = {EXISTING: 'kept'}
+  const populated = populateEnv({
+    API_KEY: 'secret',
+    PORT: 8080,
+    EXISTING: 'ignored',
+    _comment: 'skipped',
+    nested: {SKIPPED: 'x'},
+    environment: {DEBUG: true}
+  }, {env})
+  assert.deepEqual(env, {EXISTING: 'kept', API_KEY: 'secret', PORT: '8080', DEBUG: 'true'})
+  assert.deepEqual(populated, {API_KEY: 'secret', PORT: '8080', DEBUG: 'true'})
+})
+
+test('populateEnv with override and prefix', (t) => {
+  const env = {APP_EXISTING: 'old'}
+  populateEnv({EXISTING: 'new'}, {env, override: true, prefix: 'APP_'})
+  assert.deepEqual(env, {APP_EXISTING: 'new'})
+})
+
+test('processEjsonSync reads the file synchronously', (t) => {
+  const result = processEjsonSync({
+    envFilePath: 'test/test.json',
+    getPrivateKeySync: (publicKey) => keys[publicKey]
+  })
+  assert.equal(result.test_secret, testSecretValue)
+  assert.equal(result.nested.test_secret, testSecretValue)
+  assert.equal(result.test_unencrypted, 'boom')
+})
+
+test('processEjsonSync matches processEjson', async (t) => {
+  const options = {
+    configJson: testEjson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    getPrivateKeySync: (publicKey) => keys[publicKey]
+  }
+  assert.deepEqual(processEjsonSync(options), await processEjson(options))
+})
+
+test('processEjsonSync collects a missing private key like processEjson', (t) => {
+  assert.throws(() => processEjsonSync({
+    configJson: testEjson,
+    getPrivateKeySync: () => undefined,
+    errors: 'collect'
+  }), (e) => {
+    assert.ok(e instanceof EjsonAggregateError)
+    assert.deepEqual(e.paths, ['test_secret', 'nested.test_secret'])
+    return true
+  })
+})
+
+test('processEjsonSync with default key lookup', (t) => {
+  process.env.NODE_EJSON_PRIVATE_KEY = keys[testEjson._public_key]
+  t.after(() => delete process.env.NODE_EJSON_PRIVATE_KEY)
+  assert.equal(processEjsonSync({configJson: testEjson}).test_secret, testSecretValue)
+  assert.throws(() => processEjsonSync({envFilePath: '/nonexistent/env.ejson'}), {code: 'ENOENT'})
+})
+
+test('paths limits decryption to matching fields', async (t) => {
+  const result = await processEjson({
+    configJson: {...testEjson, DATABASE: {PASSWORD: testEjson.test_secret, deep: {TOKEN: testEjson.test_secret}}},
+    getPrivateKey: (publicKey) => keys[publicKey],
+    paths: ['DATABASE.*', 'nested.test_secret']
+  })
+  assert.equal(result.DATABASE.PASSWORD, testSecretValue)
+  assert.equal(result.nested.test_secret, testSecretValue)
+  assert.equal(result.test_secret, testEjson.test_secret)
+  assert.equal(result.DATABASE.deep.TOKEN, testEjson.test_secret)
+  assert.equal(result.test_unencrypted, 'boom')
+})
+
+test('lazy decrypts fields on first access', async (t) => {
+  const result = await processEjson({
+    configJson: testEjson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    lazy: true
+  })
+  assert.equal(typeof Object.getOwnPropertyDescriptor(result, 'test_secret').get, 'function')
+  assert.equal(result.test_secret, testSecretValue)
+  assert.equal(Object.getOwnPropertyDescriptor(result, 'test_secret').value, testSecretValue)
+  assert.equal(typeof Object.getOwnPropertyDescriptor(result.nested, 'test_secret').get, 'function')
+  assert.deepEqual(Object.keys(result.nested), ['test_secret', '_test_unencrypted', 'test_unencrypted'])
+  assert.equal(result.nested.test_secret, testSecretValue)
+})
+
+test('paths only looks up the keys of matching values', async (t) => {
+  const requested = []
+  const config = {
+    configJson: {...testEjson, payments: {_public_key: generateKeyPair().publicKey, apiKey: testEjson.test_secret}},
+    getPrivateKey: (publicKey) => {
+      requested.push(publicKey)
+      return keys[publicKey]
+    }
+  }
+  const result = await processEjson({...config, paths: ['nothing']})
+  assert.equal(result.test_secret, testEjson.test_secret)
+  assert.deepEqual(requested, [])
+  assert.equal((await processEjson({...config, paths: ['nested.*']})).nested.test_secret, testSecretValue)
+  assert.deepEqual(requested, [testEjson._public_key])
+})
+
+test('lazy mode looks up keys up front with an async getPrivateKey', async (t) => {
+  const payments = generateKeyPair()
+  const doc = encryptEjson({
+    _public_key: testEjson._public_key,
+    secret: testSecretValue,
+    payments: {_public_key: payments.publicKey, apiKey: 'payments secret'}
+  })
+  const getPrivateKey = async (publicKey) => keys[publicKey]
+  const result = await processEjson({configJson: doc, getPrivateKey, lazy: true, skipMissingKeys: true})
+  assert.equal(typeof Object.getOwnPropertyDescriptor(result, 'secret').get, 'function')
+  assert.equal(result.secret, testSecretValue)
+  assert.equal('payments' in result, false)
+  await assert.rejects(processEjson({configJson: doc, getPrivateKey, lazy: true}), EjsonKeyNotFoundError)
+})
+
+test('lazy fields survive layer merging and fail on access', async (t) => {
+  const result = await processEjson({
+    configJson: {...testEjson, broken: 'EJ[1:broken]'},
+    overrideLayers: [{configJson: {nested: {extra: 'value'}}}],
+    getPrivateKey: (publicKey) => keys[publicKey],
+    lazy: true
+  })
+  assert.equal(typeof Object.getOwnPropertyDescriptor(result.nested, 'test_secret').get, 'function')
+  assert.equal(result.nested.extra, 'value')
+  assert.equal(result.nested.test_secret, testSecretValue)
+  assert.throws(() => result.broken, {name: 'EjsonDecryptionError', path: 'broken'})
+  result.broken = 'replaced'
+  assert.equal(result.broken, 'replaced')
+})
+
+test('worker pool decryption returns the same structure', async (t) => {
+  const doc = encryptEjson({
+    _public_key: testEjson._public_key,
+    list: Array.from({length: 30}, (_, i) => `secret ${i}`),
+    nested: {secret: 'nested', plain: 1, _unencrypted: 'kept'}
+  })
+  const getPrivateKey = (publicKey) => keys[publicKey]
+  const inThread = await processEjson({configJson: doc, getPrivateKey})
+  const result = await processEjson({configJson: doc, getPrivateKey, workers: 2, workerThreshold: 10})
+  assert.deepEqual(result, inThread)
+  assert.equal(result.list[29], 'secret 29')
+})
+
+test('worker pool failures keep the field path', async (t) => {
+  const box = (parsed.box[0] === 'A' ? 'B' : 'A') + parsed.box.slice(1)
+  await assert.rejects(processEjson({
+    configJson: {...testEjson, corrupted: testEjson.test_secret.replace(parsed.box, box)},
+    getPrivateKey: (publicKey) => keys[publicKey],
+    errors: 'collect',
+    workers: 1,
+    workerThreshold: 1
+  }), (e) => {
+    assert.ok(e instanceof EjsonAggregateError)
+    assert.deepEqual(e.paths, ['corrupted'])
+    assert.equal(e.errors[0].reason, 'AUTHENTICATION_FAILED')
+    assert.equal(e.config.test_secret, testSecretValue)
+    return true
+  })
+})
+
+test('worker pool results can be wrapped as secrets', async (t) => {
+  const result = await processEjson({
+    configJson: testEjson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    workers: 2,
+    workerThreshold: 1,
+    wrapSecrets: true
+  })
+  assert.ok(result.test_secret instanceof Secret)
+  assert.equal(result.test_secret.reveal(), testSecretValue)
+})
+
+test('worker pool decrypts subtrees with their own keys and reports missing ones', async (t) => {
+  const payments = generateKeyPair()
+  const billing = generateKeyPair()
+  const doc = encryptEjson({
+    _public_key: testEjson._public_key,
+    secret: 'root',
+    payments: {_public_key: payments.publicKey, apiKey: 'payments'},
+    billing: {_public_key: billing.publicKey, apiKey: 'billing'}
+  })
+  const privateKeys = {...keys, [payments.publicKey]: payments.privateKey}
+  await assert.rejects(processEjson({
+    configJson: doc,
+    getPrivateKey: (publicKey) => privateKeys[publicKey],
+    errors: 'collect',
+    workers: 1,
+    workerThreshold: 1
+  }), (e) => {
+    assert.deepEqual(e.paths, ['billing.apiKey'])
+    assert.ok(e.errors[0] instanceof EjsonKeyNotFoundError)
+    assert.equal(e.config.secret, 'root')
+    assert.equal(e.config.payments.apiKey, 'payments')
+    return true
+  })
+})
+
+test('describeEjson lists fields without decrypting', async (t) => {
+  const description = await describeEjson('test/test.json')
+  assert.equal(description.file, 'test/test.json')
+  assert.deepEqual(description.publicKeys, [testEjson._public_key])
+  assert.deepEqual(description.fields[1], {
+    path: 'test_secret',
+    kind: 'encrypted',
+    schemaVersion: 1,
+    encrypterPublic: parsed.encrypterPublic,
+    recipients: 1,
+    publicKeys: [testEjson._public_key]
+  })
+  assert.deepEqual(description.fields.map((field) => [field.path, field.kind]), [
+    ['_public_key', 'unencrypted'],
+    ['test_secret', 'encrypted'],
+    ['_test_unencrypted', 'unencrypted'],
+    ['nested.test_secret', 'encrypted'],
+    ['nested._test_unencrypted', 'unencrypted']
+  ])
+})
+
+test('describeEjson reports plaintext and invalid values', async (t) => {
+  const payments = generateKeyPair().publicKey
+  const description = await describeEjson({
+    configJson: {
+      PASSWORD: 'hunter2',
+      PORT: 80,
+      broken: 'EJ[1:x]',
+      payments: {_public_key: payments, KEY: testEjson.test_secret}
+    }
+  })
+  assert.equal(description.file, undefined)
+  assert.deepEqual(description.publicKeys, [])
+  assert.deepEqual(description.fields.slice(0, 3), [
+    {path: 'PASSWORD', kind: 'plaintext', type: 'string'},
+    {path: 'PORT', kind: 'plaintext', type: 'number'},
+    {path: 'broken', kind: 'invalid', reason: 'MALFORMED_VALUE'}
+  ])
+  assert.deepEqual(description.fields[4].publicKeys, [payments])
+})
+
+test('redact replaces values with markers', (t) => {
+  assert.deepEqual(redact({...testEjson, PASSWORD: 'hunter2', PORT: 80}), {
+    _public_key: testEjson._public_key,
+    test_secret: `[encrypted v1 by ${parsed.encrypterPublic}]`,
+    _test_unencrypted: 'boom',
+    nested: {test_secret: `[encrypted v1 by ${parsed.encrypterPublic}]`, _test_unencrypted: 'nested boom'},
+    PASSWORD: '[plaintext]',
+    PORT: 80
+  })
+})
+
 test('default config', (t) => {
   assert.equal(defaultConfig.envFileDir, '.')
 })
@@ -73,10 +387,411 @@ test('decrypt', (t) => {
   assert.deepEqual(box, testSecretValue)
 })
 
-const keys = {
-  af33e849c33dd190ba01b2d50c898190f8da09082fbf1a244e4af9d62479d932:
-    'ddbd617e7826292966fe1b8686b32e2214fa3e8633881ae6a31edf6175b790a2'
-}
+test('encryptEjson encrypts plaintext leaves', (t) => {
+  const doc = {
+    _public_key: testEjson._public_key,
+    secret: testSecretValue,
+    _comment: 'not encrypted',
+    already: testEjson.test_secret,
+    count: 3,
+    nested: {secret: 'nested', list: ['a', 'b']}
+  }
+  const encrypted = encryptEjson(doc)
+  assert.equal(encrypted._public_key, doc._public_key)
+  assert.equal(encrypted._comment, 'not encrypted')
+  assert.equal(encrypted.already, testEjson.test_secret)
+  assert.equal(encrypted.count, 3)
+  assert.match(encrypted.secret, /^EJ\[1:/)
+  assert.match(encrypted.nested.list[1], /^EJ\[1:/)
+  assert.equal(doc.secret, testSecretValue)
+})
+
+test('encryptEjson uses fresh keys and nonces per value', (t) => {
+  const encrypted = encryptEjson({_public_key: testEjson._public_key, a: 'same', b: 'same'})
+  const a = parseEncryptedValue(encrypted.a)
+  const b = parseEncryptedValue(encrypted.b)
+  assert.notEqual(a.encrypterPublic, b.encrypterPublic)
+  assert.notEqual(a.nonce, b.nonce)
+})
+
+test('encryptEjson round-trips through processEjson', async (t) => {
+  const doc = {_public_key: testEjson._public_key, secret: testSecretValue, nested: {secret: 'nested'}}
+  const result = await processEjson({
+    configJson: encryptEjson(doc),
+    getPrivateKey: (publicKey) => keys[publicKey]
+  })
+  assert.equal(result.secret, testSecretValue)
+  assert.equal(result.nested.secret, 'nested')
+})
+
+test('encryptEjson requires a public key', (t) => {
+  assert.throws(() => encryptEjson({secret: 'x'}), /Invalid public key/)
+})
+
+test('rotateKeys re-encrypts values to the new public key', async (t) => {
+  const newKeyPair = generateKeyPair()
+  const doc = {...testEjson, plain: 'as is', _comment: 'kept'}
+  const rotated = rotateKeys(doc, {oldPrivateKey: keys[testEjson._public_key], newPublicKey: newKeyPair.publicKey})
+  assert.equal(rotated._public_key, newKeyPair.publicKey)
+  assert.equal(rotated.plain, 'as is')
+  assert.equal(rotated._comment, 'kept')
+  assert.equal(rotated._test_unencrypted, 'boom')
+  assert.notEqual(parseEncryptedValue(rotated.test_secret).nonce, parsed.nonce)
+  assert.equal(doc._public_key, testEjson._public_key)
+  const result = await processEjson({configJson: rotated, getPrivateKey: () => newKeyPair.privateKey})
+  assert.equal(result.test_secret, testSecretValue)
+  assert.equal(result.nested.test_secret, testSecretValue)
+})
+
+test('rotateKeys with the wrong old key', (t) => {
+  assert.throws(() => rotateKeys(testEjson, {
+    oldPrivateKey: generateKeyPair().privateKey,
+    newPublicKey: generateKeyPair().publicKey
+  }), {name: 'EjsonDecryptionError', path: 'test_secret'})
+})
+
+test('multi-recipient documents decrypt with any listed key', async (t) => {
+  const ci = generateKeyPair()
+  const production = generateKeyPair()
+  const encrypted = encryptEjson({_public_keys: [ci.publicKey, production.publicKey], secret: testSecretValue})
+  assert.equal(parseEncryptedValue(encrypted.secret).boxes.length, 2)
+  for (const keyPair of [ci, production]) {
+    const result = await processEjson({
+      configJson: encrypted,
+      getPrivateKey: (publicKey) => publicKey === keyPair.publicKey ? keyPair.privateKey : undefined
+    })
+    assert.equal(result.secret, testSecretValue)
+  }
+})
+
+test('multi-recipient documents without any available key', async (t) => {
+  const publicKeys = [generateKeyPair().publicKey, generateKeyPair().publicKey]
+  await assert.rejects(processEjson({
+    configJson: encryptEjson({_public_keys: publicKeys, secret: testSecretValue}),
+    keysDir: '/nonexistent/'
+  }), (e) => {
+    assert.ok(e instanceof EjsonKeyNotFoundError)
+    assert.equal(e.publicKey, publicKeys.join(', '))
+    assert.ok(e.searched.includes('/nonexistent/' + publicKeys[1]))
+    return true
+  })
+})
+
+test('getDocumentPrivateKey returns the first available key', async (t) => {
+  const other = generateKeyPair()
+  const key = await getDocumentPrivateKey({_public_keys: [other.publicKey, testEjson._public_key]}, {
+    getPrivateKey: (publicKey) => keys[publicKey]
+  })
+  assert.deepEqual(key, {publicKey: testEjson._public_key, privateKey: keys[testEjson._public_key], recipient: 1})
+})
+
+test('rotateKeys to several recipients', async (t) => {
+  const newKeyPairs = [generateKeyPair(), generateKeyPair()]
+  const rotated = rotateKeys(testEjson, {
+    oldPrivateKey: keys[testEjson._public_key],
+    newPublicKeys: newKeyPairs.map((keyPair) => keyPair.publicKey)
+  })
+  assert.equal(rotated._public_key, undefined)
+  const result = await processEjson({
+    configJson: rotated,
+    getPrivateKey: (publicKey) => publicKey === newKeyPairs[1].publicKey ? newKeyPairs[1].privateKey : undefined
+  })
+  assert.equal(result.nested.test_secret, testSecretValue)
+})
+
+test('nested objects can use their own public key', async (t) => {
+  const payments = generateKeyPair()
+  const doc = encryptEjson({
+    _public_key: testEjson._public_key,
+    secret: testSecretValue,
+    payments: {_public_key: payments.publicKey, apiKey: 'payments secret', nested: {token: 'token'}}
+  })
+  assert.equal(parseEncryptedValue(doc.secret).boxes.length, 1)
+  const allKeys = {...keys, [payments.publicKey]: payments.privateKey}
+  const requested = []
+  const result = await processEjson({
+    configJson: doc,
+    getPrivateKey: (publicKey) => {
+      requested.push(publicKey)
+      return allKeys[publicKey]
+    }
+  })
+  assert.equal(result.secret, testSecretValue)
+  assert.equal(result.payments.apiKey, 'payments secret')
+  assert.equal(result.payments.nested.token, 'token')
+  assert.deepEqual(requested, [testEjson._public_key, payments.publicKey])
+})
+
+test('subtrees with unavailable keys can be skipped', async (t) => {
+  const doc = encryptEjson({
+    _public_key: testEjson._public_key,
+    secret: testSecretValue,
+    payments: {_public_key: generateKeyPair().publicKey, apiKey: 'payments secret'}
+  })
+  const options = {configJson: doc, getPrivateKey: (publicKey) => keys[publicKey]}
+  await assert.rejects(processEjson(options), EjsonKeyNotFoundError)
+  const result = await processEjson({...options, skipMissingKeys: true})
+  assert.equal(result.secret, testSecretValue)
+  assert.equal('payments' in result, false)
+  const syncResult = processEjsonSync({...options, getPrivateKeySync: options.getPrivateKey, skipMissingKeys: true})
+  assert.deepEqual(syncResult, result)
+})
+
+test('collect mode reports a missing subtree key for each value in the subtree', async (t) => {
+  const payments = generateKeyPair()
+  const doc = encryptEjson({
+    _public_key: testEjson._public_key,
+    secret: testSecretValue,
+    payments: {_public_key: payments.publicKey, apiKey: 'payments secret', webhook: {token: 'token'}}
+  })
+  await assert.rejects(processEjson({configJson: doc, getPrivateKey: (publicKey) => keys[publicKey], errors: 'collect'}), (e) => {
+    assert.deepEqual(e.paths, ['payments.apiKey', 'payments.webhook.token'])
+    assert.ok(e.errors.every((error) => error instanceof EjsonKeyNotFoundError && error.publicKey === payments.publicKey))
+    assert.equal(e.config.secret, testSecretValue)
+    return true
+  })
+})
+
+test('subtree keys are only looked up for values that are decrypted', async (t) => {
+  const doc = encryptEjson({
+    _public_key: testEjson._public_key,
+    API_KEY: testSecretValue,
+    payments: {_public_key: generateKeyPair().publicKey, apiKey: 'payments secret'}
+  })
+  const requested = []
+  const getPrivateKey = (publicKey) => {
+    requested.push(publicKey)
+    return keys[publicKey]
+  }
+  const result = await processEjson({configJson: doc, getPrivateKey, paths: ['API_KEY']})
+  assert.equal(result.API_KEY, testSecretValue)
+  assert.equal(result.payments.apiKey, doc.payments.apiKey)
+  assert.deepEqual(requested, [testEjson._public_key])
+  const syncResult = processEjsonSync({configJson: doc, getPrivateKeySync: getPrivateKey, paths: ['API_KEY']})
+  assert.deepEqual(syncResult, result)
+})
+
+test('documents with only subtree keys need no root key', async (t) => {
+  const doc = {
+    plain: 'value',
+    payments: encryptEjson({_public_key: testEjson._public_key, apiKey: 'payments secret'})
+  }
+  const result = await processEjson({configJson: doc, getPrivateKey: (publicKey) => keys[publicKey]})
+  assert.equal(result.payments.apiKey, 'payments secret')
+})
+
+test('rotateKeys leaves subtrees with their own key untouched', (t) => {
+  const payments = encryptEjson({_public_key: generateKeyPair().publicKey, apiKey: 'payments secret'})
+  const rotated = rotateKeys({...testEjson, payments}, {
+    oldPrivateKey: keys[testEjson._public_key],
+    newPublicKey: generateKeyPair().publicKey
+  })
+  assert.deepEqual(rotated.payments, payments)
+})
+
+test('generateKeyPair returns hex keys', (t) => {
+  const keyPair = generateKeyPair()
+  assert.match(keyPair.publicKey, /^[0-9a-f]{64}$/)
+  assert.match(keyPair.privateKey, /^[0-9a-f]{64}$/)
+  assert.notEqual(generateKeyPair().privateKey, keyPair.privateKey)
+})
+
+test('derivePublicKey matches the document public key', (t) => {
+  assert.equal(derivePublicKey(keys[testEjson._public_key]), testEjson._public_key)
+  const keyPair = generateKeyPair()
+  assert.equal(derivePublicKey(keyPair.privateKey), keyPair.publicKey)
+})
+
+test('writeKeyPair writes a read-only private key file', async (t) => {
+  const keysDir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+  t.after(() => fs.rm(keysDir, {recursive: true, force: true}))
+  const keyPair = await writeKeyPair({keysDir})
+  const keyFile = path.join(keysDir, keyPair.publicKey)
+  assert.equal(await fs.readFile(keyFile, 'utf8'), keyPair.privateKey)
+  assert.equal((await fs.stat(keyFile)).mode & 0o777, 0o400)
+})
+
+test('wrong private key is detected before decrypting', async (t) => {
+  const wrongKey = generateKeyPair()
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    getPrivateKey: () => wrongKey.privateKey
+  }), (e) => {
+    assert.ok(e instanceof EjsonKeyMismatchError)
+    assert.equal(e.reason, 'KEY_MISMATCH')
+    assert.equal(e.publicKey, testEjson._public_key)
+    assert.equal(e.derivedPublicKey, wrongKey.publicKey)
+    assert.match(e.message, new RegExp(`${testEjson._public_key}.*${wrongKey.publicKey}`))
+    return true
+  })
+})
+
+test('corrupted value fails with the field path', async (t) => {
+  const box = (parsed.box[0] === 'A' ? 'B' : 'A') + parsed.box.slice(1)
+  const corrupted = testEjson.test_secret.replace(parsed.box, box)
+  await assert.rejects(processEjson({
+    configJson: {...testEjson, test_secret: corrupted},
+    getPrivateKey: (publicKey) => keys[publicKey]
+  }), (e) => {
+    assert.ok(e instanceof EjsonDecryptionError)
+    assert.equal(e.path, 'test_secret')
+    assert.equal(e.publicKey, testEjson._public_key)
+    assert.equal(e.reason, 'AUTHENTICATION_FAILED')
+    return true
+  })
+})
+
+test('malformed encrypted value fails with the nested field path', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: {...testEjson, test_secret: 'plain', nested: {PASSWORD: 'EJ[1:broken]'}},
+    getPrivateKey: (publicKey) => keys[publicKey]
+  }), (e) => {
+    assert.ok(e instanceof EjsonDecryptionError)
+    assert.equal(e.path, 'nested.PASSWORD')
+    assert.equal(e.reason, 'MALFORMED_VALUE')
+    assert.ok(e.cause instanceof EjsonParseError)
+    return true
+  })
+})
+
+test('collect mode reports every failing path', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: {...testEjson, broken: 'EJ[1:broken]', nested: {...testEjson.nested, broken: 'EJ[1:broken]'}},
+    getPrivateKey: (publicKey) => keys[publicKey],
+    errors: 'collect'
+  }), (e) => {
+    assert.ok(e instanceof EjsonAggregateError)
+    assert.deepEqual(e.paths, ['nested.broken', 'broken'])
+    assert.ok(e.errors.every((error) => error instanceof EjsonDecryptionError))
+    assert.equal(e.config.test_secret, testSecretValue)
+    assert.equal(e.config.nested.test_secret, testSecretValue)
+    assert.equal(e.config.broken, undefined)
+    return true
+  })
+})
+
+test('collect mode reports a missing private key for each encrypted value', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    getPrivateKey: () => undefined,
+    errors: 'collect'
+  }), (e) => {
+    assert.ok(e instanceof EjsonAggregateError)
+    assert.deepEqual(e.paths, ['test_secret', 'nested.test_secret'])
+    assert.ok(e.errors.every((error) => error instanceof EjsonKeyNotFoundError && error.publicKey === testEjson._public_key))
+    assert.equal(e.config.test_unencrypted, 'boom')
+    assert.equal(e.config.test_secret, undefined)
+    return true
+  })
+})
+
+test('collect mode returns the config when nothing fails', async (t) => {
+  const result = await processEjson({
+    configJson: testEjson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    errors: 'collect'
+  })
+  assert.equal(result.test_secret, testSecretValue)
+})
+
+test('strict mode rejects plaintext values', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: {...testEjson, nested: {...testEjson.nested, PASSWORD: 'hunter2'}},
+    getPrivateKey: (publicKey) => keys[publicKey],
+    strict: true
+  }), (e) => {
+    assert.ok(e instanceof EjsonPolicyError)
+    assert.equal(e.path, 'nested.PASSWORD')
+    assert.equal(e.reason, 'PLAINTEXT_VALUE')
+    return true
+  })
+})
+
+test('strict mode allows underscore keys and allowlisted paths', async (t) => {
+  const configJson = {
+    ...testEjson,
+    LOG_LEVEL: 'info',
+    PORT: 8080,
+    features: {search: {mode: 'fast'}},
+    hosts: ['a', 'b']
+  }
+  const result = await processEjson({
+    configJson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    strict: true,
+    plaintextAllowlist: ['LOG_LEVEL', 'features.**', 'hosts.*']
+  })
+  assert.equal(result.test_secret, testSecretValue)
+  assert.equal(result.test_unencrypted, 'boom')
+  assert.equal(result.features.search.mode, 'fast')
+})
+
+test('strict mode violations are collected', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: {...testEjson, A: 'plain', B: {C: 'plain'}, AB: 'allowed'},
+    getPrivateKey: (publicKey) => keys[publicKey],
+    strict: true,
+    plaintextAllowlist: ['A?', '*B'],
+    errors: 'collect'
+  }), (e) => {
+    assert.ok(e instanceof EjsonAggregateError)
+    assert.deepEqual(e.paths, ['A', 'B.C'])
+    return true
+  })
+})
+
+test('invalid private key is reported', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    getPrivateKey: () => 'not a key'
+  }), {name: 'EjsonDecryptionError', reason: 'INVALID_PRIVATE_KEY'})
+})
+
+test('missing private key file', async (t) => {
+  delete process.env.NODE_EJSON_PRIVATE_KEY
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    keysDir: '/nonexistent/'
+  }), (e) => {
+    assert.ok(e instanceof EjsonKeyNotFoundError)
+    assert.equal(e.publicKey, testEjson._public_key)
+    assert.deepEqual(e.searched, ['NODE_EJSON_PRIVATE_KEY', '/nonexistent/' + testEjson._public_key])
+    return true
+  })
+})
+
+test('key files are trimmed', async (t) => {
+  const keysDir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+  t.after(() => fs.rm(keysDir, {recursive: true, force: true}))
+  await fs.writeFile(path.join(keysDir, testEjson._public_key), keys[testEjson._public_key] + '\n')
+  delete process.env.NODE_EJSON_PRIVATE_KEY
+  const result = await processEjson({configJson: testEjson, keysDir})
+  assert.equal(result.test_secret, testSecretValue)
+})
+
+test('keys from getPrivateKey are trimmed', async (t) => {
+  const getPrivateKey = (publicKey) => keys[publicKey] + '\n'
+  assert.equal((await processEjson({configJson: testEjson, getPrivateKey})).test_secret, testSecretValue)
+  assert.equal(processEjsonSync({configJson: testEjson, getPrivateKeySync: getPrivateKey}).test_secret, testSecretValue)
+})
+
+test('getPrivateKey returning nothing', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    getPrivateKey: () => undefined
+  }), EjsonKeyNotFoundError)
+})
+
+test('invalid JSON file', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+  t.after(() => fs.rm(dir, {recursive: true, force: true}))
+  await fs.writeFile(path.join(dir, 'broken.ejson'), '{"a": ')
+  await assert.rejects(processEjson({envFilePath: path.join(dir, 'broken.ejson')}), {
+    name: 'EjsonParseError',
+    reason: 'INVALID_JSON'
+  })
+})
+
 const testSecretValue = 'Hello World!'
 const parsed = parseEncryptedValue(testEjson.test_secret)
 
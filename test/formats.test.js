@@ -0,0 +1,207 @@
+import {after, before, test} from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'node:fs/promises'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {EjsonParseError, encryptEjson, processEjson} from '../ejson.js'
+import {formatOf, formats} from '../lib/formats.js'
+import {parseToml, rewriteTomlStrings, stringifyToml} from '../lib/toml.js'
+import {parseYaml, rewriteYamlStrings, stringifyYaml} from '../lib/yaml.js'
+import {privateKey, publicKey} from './helpers.js'
+
+const getPrivateKey = () => privateKey
+
+let dir
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+})
+after(async () => {
+  await fs.rm(dir, {recursive: true, force: true})
+})
+
+const doc = {
+  _public_key: publicKey,
+  database: {user: 'admin', password: 'hunter2', port: 5432, _comment: 'plain'},
+  servers: [{name: 'one', token: 'a: b # c'}, {name: 'two', token: 'multi\nline'}],
+  flags: [true, 1.5, 'true', '12', '']
+}
+
+test('formats follow the file extension', (t) => {
+  assert.equal(formatOf('env.ejson'), formats.json)
+  assert.equal(formatOf('/etc/app/production.eyaml'), formats.yaml)
+  assert.equal(formatOf('values.yml'), formats.yaml)
+  assert.equal(formatOf('env.ETOML'), formats.toml)
+  assert.equal(formatOf('env'), formats.json)
+})
+
+test('parses YAML block and flow collections', (t) => {
+  assert.deepEqual(parseYaml(`---
+# comment
+_public_key: ${publicKey}
+database:
+  password: EJ[1:a+b/c=:d:e]  # trailing comment
+  port: 5432
+  enabled: yes
+  empty:
+  "quoted key": 'it''s'
+list:
+- one
+- name: two
+  tags: [a, "b", {c: d}]
+cert: |
+  line 1
+    line 2 # kept
+text: >-
+  folded
+  line
+`), {
+    _public_key: publicKey,
+    database: {password: 'EJ[1:a+b/c=:d:e]', port: 5432, enabled: 'yes', empty: null, 'quoted key': 'it\'s'},
+    list: ['one', {name: 'two', tags: ['a', 'b', {c: 'd'}]}],
+    cert: 'line 1\n  line 2 # kept\n',
+    text: 'folded line'
+  })
+})
+
+test('rejects unsupported or malformed YAML', (t) => {
+  assert.throws(() => parseYaml('a: 1\n  b: 2'), /Unexpected indentation at line 2/)
+  assert.throws(() => parseYaml('a: &anchor 1'), /Unsupported YAML syntax/)
+  assert.throws(() => parseYaml('a: 1\n---\nb: 2'), /Multiple documents/)
+  assert.throws(() => parseYaml('a: 1\na: 2'), /Duplicate key a/)
+  assert.throws(() => parseYaml('a: b: c'), /Mapping values are not allowed here at line 1/)
+  assert.throws(() => parseYaml('list:\n- a: b:'), /Mapping values are not allowed here at line 2/)
+  assert.throws(() => parseYaml('? a'), /Complex mapping keys are not supported/)
+  assert.throws(() => parseYaml('a: ? b'), /Complex mapping keys are not supported/)
+})
+
+test('parses TOML tables, arrays and inline values', (t) => {
+  assert.deepEqual(parseToml(`# comment
+_public_key = "${publicKey}"
+count = 1_000
+ratio = -1.5e3
+literal = 'C:\\path'
+list = [
+  1, "two", # comment
+]
+point = {x = 1, "y z" = 2}
+a.b = true
+
+[database]
+password = "EJ[1:a+b/c=:d:e]"
+created = 1979-05-27T07:32:00Z
+
+[[servers]]
+name = "one"
+
+[[servers]]
+name = "two"
+`), {
+    _public_key: publicKey,
+    count: 1000,
+    ratio: -1500,
+    literal: 'C:\\path',
+    list: [1, 'two'],
+    point: {x: 1, 'y z': 2},
+    a: {b: true},
+    database: {password: 'EJ[1:a+b/c=:d:e]', created: '1979-05-27T07:32:00Z'},
+    servers: [{name: 'one'}, {name: 'two'}]
+  })
+})
+
+test('rejects malformed TOML', (t) => {
+  assert.throws(() => parseToml('a = 1\na = 2'), /Duplicate key a at line 2/)
+  assert.throws(() => parseToml('a = "open'), /Unterminated string/)
+  assert.throws(() => parseToml('a = "\\x41"'), /Invalid escape sequence \\x41/)
+  assert.throws(() => parseToml('a = "\\e"'), /Invalid escape sequence \\e/)
+  assert.throws(() => parseToml('a = 1 b'), /Expected the end of the line/)
+  assert.throws(() => parseToml('[a]\nb = 1\n\n[a]\nc = 2'), /Duplicate table a at line 4/)
+  assert.throws(() => stringifyToml({a: {b: null}}), /TOML cannot represent null at a.b/)
+})
+
+test('TOML tables may be created implicitly before their header', (t) => {
+  assert.deepEqual(parseToml('[a.b]\nc = 1\n\n[a]\nd = 2'), {a: {b: {c: 1}, d: 2}})
+})
+
+test('serialized documents parse back to the same value', (t) => {
+  assert.deepEqual(parseYaml(stringifyYaml(doc)), doc)
+  assert.deepEqual(parseToml(stringifyToml(doc)), doc)
+})
+
+test('YAML 1.1 booleans are quoted', (t) => {
+  assert.equal(stringifyYaml({a: 'yes', b: 'Off', c: 'y', d: 'yesterday'}), 'a: "yes"\nb: "Off"\nc: "y"\nd: yesterday\n')
+})
+
+test('TOML numbers keep their source token', (t) => {
+  const source = 'ratio = 1.0\ncount = 1_000\n'
+  assert.equal(stringifyToml({...parseToml(source), added: 'x'}, source), 'ratio = 1.0\ncount = 1_000\nadded = "x"\n')
+  assert.equal(stringifyToml({ratio: 2}, source), 'ratio = 2\n')
+})
+
+test('YAML strings are rewritten in place', (t) => {
+  const text = `# comment
+a: one  # trailing
+b:
+  - two
+  - c: 'three'
+d: [four, {e: five}]
+f: |
+  six
+g: 7
+`
+  assert.equal(rewriteYamlStrings(text, (path, value) => `${path.join('.')}=${value}`), `# comment
+a: a=one  # trailing
+b:
+  - b.0=two
+  - c: b.1.c=three
+d: ["d.0=four", {e: "d.1.e=five"}]
+f: "f=six\\n"
+g: 7
+`)
+})
+
+test('TOML strings are rewritten in place', (t) => {
+  const text = `# comment
+a = "one"  # trailing
+b = ['two', 3]
+
+[[c]]
+d = """
+three"""
+
+[[c]]
+d = "four"
+`
+  assert.equal(rewriteTomlStrings(text, (path, value) => `${path.join('.')}=${value}`), `# comment
+a = "a=one"  # trailing
+b = ["b.0=two", 3]
+
+[[c]]
+d = "c.0.d=three"
+
+[[c]]
+d = "c.1.d=four"
+`)
+})
+
+for (const [suffix, format] of [['.eyaml', formats.yaml], ['.etoml', formats.toml]]) {
+  test(`processEjson reads ${suffix} files`, async (t) => {
+    await fs.writeFile(path.join(dir, `env${suffix}`), format.stringify(encryptEjson(doc)))
+    const result = await processEjson({envFileDir: dir, envFilePrefix: 'env', envFileSuffix: suffix, getPrivateKey})
+    assert.equal(result.database.password, 'hunter2')
+    assert.equal(result.database.comment, 'plain')
+    assert.equal(result.public_key, publicKey)
+    assert.deepEqual(result.servers.map((server) => server.token), ['a: b # c', 'multi\nline'])
+    assert.deepEqual(result.flags, doc.flags)
+  })
+}
+
+test('invalid YAML is reported with the file', async (t) => {
+  const file = path.join(dir, 'broken.eyaml')
+  await fs.writeFile(file, 'a: "open\n')
+  await assert.rejects(processEjson({envFilePath: file, getPrivateKey}), (e) => {
+    assert.ok(e instanceof EjsonParseError)
+    assert.equal(e.reason, 'INVALID_YAML')
+    assert.equal(e.file, file)
+    return true
+  })
+})
@@ -0,0 +1,4 @@
+// The key pair that test/test.json is encrypted to.
+export const publicKey = 'af33e849c33dd190ba01b2d50c898190f8da09082fbf1a244e4af9d62479d932'
+export const privateKey = 'ddbd617e7826292966fe1b8686b32e2214fa3e8633881ae6a31edf6175b790a2'
+export const keys = {[publicKey]: privateKey}
@@ -0,0 +1,159 @@
+import {after, before, test} from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'node:fs/promises'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {
+  commandKeyProvider,
+  EjsonKeyNotFoundError,
+  envKeyProvider,
+  fdKeyProvider,
+  generateKeyPair,
+  keyMapProvider,
+  keysDirProvider,
+  processEjson,
+  processEjsonSync
+} from '../ejson.js'
+import testEjson from './test.json' with {type: 'json'}
+import {privateKey, publicKey} from './helpers.js'
+
+let dir
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+  await fs.writeFile(path.join(dir, publicKey), privateKey)
+  await fs.writeFile(path.join(dir, 'key-command.js'), `process.stdout.write(${JSON.stringify(privateKey)} + '\\n')`)
+  await fs.writeFile(path.join(dir, 'failing-command.js'), `process.stderr.write('vault sealed'); process.exit(2)`)
+  await fs.writeFile(path.join(dir, 'hanging-command.js'), `setTimeout(() => {}, 60000)`)
+})
+after(async () => {
+  await fs.rm(dir, {recursive: true, force: true})
+})
+
+test('env provider', async (t) => {
+  const provider = envKeyProvider({variable: 'TEST_EJSON_KEY'})
+  await assert.rejects(provider.getPrivateKey(publicKey, {}), {location: 'TEST_EJSON_KEY', reason: 'not set'})
+  process.env.TEST_EJSON_KEY = privateKey
+  t.after(() => delete process.env.TEST_EJSON_KEY)
+  assert.equal(await provider.getPrivateKey(publicKey, {}), privateKey)
+})
+
+test('env provider only returns a single key for its own public key', async (t) => {
+  const provider = envKeyProvider({variable: 'TEST_EJSON_KEY'})
+  process.env.TEST_EJSON_KEY = generateKeyPair().privateKey
+  t.after(() => delete process.env.TEST_EJSON_KEY)
+  assert.throws(() => provider.getPrivateKeySync(publicKey), {reason: 'no key for this public key'})
+  process.env.TEST_EJSON_KEY = 'not a key'
+  assert.throws(() => provider.getPrivateKeySync(publicKey), {reason: 'invalid value'})
+})
+
+test('env provider with several keys', async (t) => {
+  const other = generateKeyPair()
+  const provider = envKeyProvider({variable: 'TEST_EJSON_KEY'})
+  t.after(() => delete process.env.TEST_EJSON_KEY)
+  process.env.TEST_EJSON_KEY = `${other.publicKey}:${other.privateKey},${publicKey}:${privateKey}`
+  assert.equal(provider.getPrivateKeySync(publicKey), privateKey)
+  assert.equal(provider.getPrivateKeySync(other.publicKey), other.privateKey)
+  process.env.TEST_EJSON_KEY = JSON.stringify({[other.publicKey]: other.privateKey, [publicKey]: privateKey})
+  assert.equal(await provider.getPrivateKey(publicKey), privateKey)
+  assert.throws(() => provider.getPrivateKeySync(generateKeyPair().publicKey), {reason: 'no key for this public key'})
+})
+
+test('keysDir provider', async (t) => {
+  assert.equal(await keysDirProvider({keysDir: dir + '/'}).getPrivateKey(publicKey, {}), privateKey)
+  assert.equal(keysDirProvider().getPrivateKeySync(publicKey, {keysDir: dir + '/'}), privateKey)
+  assert.throws(() => keysDirProvider().getPrivateKeySync('missing', {keysDir: dir + '/'}), {
+    location: dir + '/missing',
+    reason: 'not found'
+  })
+})
+
+test('keysDir provider with a search path', async (t) => {
+  const provider = keysDirProvider({keysDir: ['/nonexistent', dir].join(path.delimiter)})
+  assert.equal(await provider.getPrivateKey(publicKey, {}), privateKey)
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    keyProviders: [keysDirProvider({keysDir: ['/nonexistent', '/missing/'].join(path.delimiter)})]
+  }), (e) => {
+    assert.deepEqual(e.searched, ['/nonexistent/' + publicKey, '/missing/' + publicKey])
+    return true
+  })
+})
+
+test('key map provider', async (t) => {
+  const provider = keyMapProvider({[publicKey]: privateKey})
+  assert.equal(await provider.getPrivateKey(publicKey), privateKey)
+  assert.throws(() => provider.getPrivateKeySync('other'), {location: 'key map', reason: 'no entry'})
+})
+
+test('fd provider reads the descriptor once', async (t) => {
+  const handle = await fs.open(path.join(dir, publicKey))
+  t.after(() => handle.close())
+  const provider = fdKeyProvider(handle.fd)
+  assert.equal(provider.getPrivateKeySync(publicKey), privateKey)
+  assert.equal(await provider.getPrivateKey(publicKey), privateKey)
+})
+
+test('fd provider reads asynchronously', async (t) => {
+  const handle = await fs.open(path.join(dir, publicKey))
+  t.after(() => handle.close())
+  const provider = fdKeyProvider(handle.fd)
+  assert.deepEqual(await Promise.all([provider.getPrivateKey(publicKey), provider.getPrivateKey(publicKey)]), [privateKey, privateKey])
+})
+
+test('command provider', async (t) => {
+  const provider = commandKeyProvider(process.execPath, [path.join(dir, 'key-command.js')])
+  assert.equal(await provider.getPrivateKey(publicKey), privateKey)
+  assert.equal(provider.getPrivateKeySync(publicKey), privateKey)
+  const failing = commandKeyProvider(process.execPath, [path.join(dir, 'failing-command.js')])
+  await assert.rejects(failing.getPrivateKey(publicKey), {reason: 'vault sealed'})
+  assert.throws(() => failing.getPrivateKeySync(publicKey), {reason: 'vault sealed'})
+})
+
+test('command provider stops commands that take too long', async (t) => {
+  const provider = commandKeyProvider(process.execPath, [path.join(dir, 'hanging-command.js')], {timeout: 200})
+  await assert.rejects(provider.getPrivateKey(publicKey), {reason: 'timed out after 200 ms'})
+  assert.throws(() => provider.getPrivateKeySync(publicKey), {reason: 'timed out after 200 ms'})
+})
+
+test('processEjson uses the first provider with the key', async (t) => {
+  const options = {
+    configJson: testEjson,
+    keyProviders: [envKeyProvider({variable: 'TEST_EJSON_KEY'}), keyMapProvider({}), keysDirProvider({keysDir: dir + '/'})]
+  }
+  assert.equal((await processEjson(options)).test_secret, 'Hello World!')
+  assert.equal(processEjsonSync(options).test_secret, 'Hello World!')
+})
+
+test('the error lists every place searched', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    keysDir: '/nonexistent/',
+    keyProviders: [envKeyProvider({variable: 'TEST_EJSON_KEY'}), keysDirProvider(), {name: 'custom', getPrivateKey: () => undefined}]
+  }), (e) => {
+    assert.ok(e instanceof EjsonKeyNotFoundError)
+    assert.deepEqual(e.failures, [
+      {provider: 'env', location: 'TEST_EJSON_KEY', reason: 'not set'},
+      {provider: 'keysDir', location: '/nonexistent/' + publicKey, reason: 'not found'},
+      {provider: 'custom', location: 'custom', reason: 'no key'}
+    ])
+    assert.match(e.message, /searched: TEST_EJSON_KEY \(not set\), \/nonexistent\/\w+ \(not found\), custom \(no key\)/)
+    return true
+  })
+})
+
+test('providers without synchronous lookup are skipped by processEjsonSync', (t) => {
+  assert.throws(() => processEjsonSync({
+    configJson: testEjson,
+    keyProviders: [{name: 'async only', getPrivateKey: async () => privateKey}]
+  }), {failures: [{provider: 'async only', location: 'async only', reason: 'no synchronous lookup'}]})
+})
+
+test('malformed public keys are rejected before any provider runs', async (t) => {
+  const asked = []
+  const provider = {name: 'spy', getPrivateKey: (key) => asked.push(key), getPrivateKeySync: (key) => asked.push(key)}
+  const options = {configJson: {...testEjson, _public_key: '../../etc/passwd'}, keyProviders: [provider, keysDirProvider()]}
+  const failures = [{location: 'public key', reason: 'not 64 hex characters'}]
+  await assert.rejects(processEjson(options), {name: 'EjsonKeyNotFoundError', failures})
+  assert.throws(() => processEjsonSync(options), {name: 'EjsonKeyNotFoundError', failures})
+  assert.deepEqual(asked, [])
+})
@@ -0,0 +1,46 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {execFile} from 'node:child_process'
+import * as path from 'node:path'
+import {promisify} from 'node:util'
+import {privateKey} from './helpers.js'
+
+const root = path.join(import.meta.dirname, '..')
+
+const runWithRegister = (env) => promisify(execFile)(
+  process.execPath,
+  ['--import', 'node-ejson/register', '--input-type=module', '-e', 'console.log(JSON.stringify(process.env))'],
+  {
+    cwd: root,
+    env: {
+      PATH: process.env.PATH,
+      NODE_EJSON_FILE_PATH: 'test/test.json',
+      NODE_EJSON_PRIVATE_KEY: privateKey,
+      ...env
+    }
+  }
+)
+
+test('register populates process.env from the decrypted file', async (t) => {
+  const {stdout} = await runWithRegister({test_unencrypted: 'from env'})
+  const env = JSON.parse(stdout)
+  assert.equal(env.test_secret, 'Hello World!')
+  assert.equal(env.test_unencrypted, 'from env')
+  assert.equal(env.nested, undefined)
+})
+
+test('register honours override and prefix settings', async (t) => {
+  const {stdout} = await runWithRegister({
+    APP_test_unencrypted: 'from env',
+    NODE_EJSON_ENV_OVERRIDE: 'true',
+    NODE_EJSON_ENV_PREFIX: 'APP_'
+  })
+  const env = JSON.parse(stdout)
+  assert.equal(env.APP_test_secret, 'Hello World!')
+  assert.equal(env.APP_test_unencrypted, 'boom')
+})
+
+test('files outside the named exports can still be imported by path', async (t) => {
+  const errors = await import('node-ejson/lib/errors.js')
+  assert.equal(typeof errors.EjsonError, 'function')
+})
@@ -0,0 +1,85 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {EjsonSchemaError, processEjson, validateSchema} from '../ejson.js'
+import testEjson from './test.json' with {type: 'json'}
+import {keys} from './helpers.js'
+
+const schema = {
+  type: 'object',
+  required: ['DATABASE', 'LOG_LEVEL'],
+  properties: {
+    LOG_LEVEL: {type: 'string', enum: ['debug', 'info', 'warn']},
+    PORT: {type: 'integer'},
+    DATABASE: {
+      type: 'object',
+      required: ['URL'],
+      properties: {
+        URL: {type: 'string', pattern: '^postgres://'},
+        REPLICAS: {type: 'array', items: {type: 'string'}}
+      }
+    }
+  }
+}
+
+test('valid config has no problems', (t) => {
+  const config = {LOG_LEVEL: 'info', PORT: 80, DATABASE: {URL: 'postgres://db', REPLICAS: ['a']}}
+  assert.deepEqual(validateSchema(config, schema), [])
+})
+
+test('problems are reported with their paths', (t) => {
+  const config = {LOG_LEVEL: 'trace', PORT: 1.5, DATABASE: {URL: 'mysql://db', REPLICAS: ['a', 2]}}
+  assert.deepEqual(validateSchema(config, schema), [
+    {path: 'LOG_LEVEL', message: 'LOG_LEVEL: must be one of "debug", "info", "warn"'},
+    {path: 'PORT', message: 'PORT: expected integer, got number'},
+    {path: 'DATABASE.URL', message: 'DATABASE.URL: must match pattern ^postgres://'},
+    {path: 'DATABASE.REPLICAS.1', message: 'DATABASE.REPLICAS.1: expected string, got number'}
+  ])
+})
+
+test('required and multiple types', (t) => {
+  assert.deepEqual(validateSchema({DATABASE: {}}, schema).map((problem) => problem.path), ['LOG_LEVEL', 'DATABASE.URL'])
+  assert.deepEqual(validateSchema(null, {type: ['object', 'null']}), [])
+  assert.deepEqual(validateSchema([], {type: 'object'}), [{path: '', message: '(root): expected object, got array'}])
+})
+
+test('encrypted fields must be encrypted in the raw document', (t) => {
+  const encryptedSchema = {properties: {PASSWORD: {encrypted: true}}}
+  assert.deepEqual(validateSchema({PASSWORD: 'x'}, encryptedSchema, {raw: {PASSWORD: testEjson.test_secret}}), [])
+  assert.deepEqual(validateSchema({PASSWORD: 'x'}, encryptedSchema, {raw: {PASSWORD: 'x'}}), [
+    {path: 'PASSWORD', message: 'PASSWORD: must be encrypted in the EJSON file'}
+  ])
+})
+
+test('processEjson validates the decrypted config', async (t) => {
+  const result = await processEjson({
+    configJson: testEjson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    schema: {properties: {test_secret: {type: 'string', encrypted: true, enum: ['Hello World!']}}}
+  })
+  assert.equal(result.test_secret, 'Hello World!')
+})
+
+test('processEjson rejects configs not matching the schema', async (t) => {
+  await assert.rejects(processEjson({
+    configJson: testEjson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    schema: {
+      required: ['missing'],
+      properties: {
+        test_unencrypted: {encrypted: true},
+        nested: {properties: {test_secret: {pattern: '^Bye'}}}
+      }
+    }
+  }), (e) => {
+    assert.ok(e instanceof EjsonSchemaError)
+    assert.deepEqual(e.problems.map((problem) => problem.path), ['missing', 'test_unencrypted', 'nested.test_secret'])
+    assert.match(e.message, /test_unencrypted: must be encrypted/)
+    return true
+  })
+})
+
+test('schema cannot be combined with paths or lazy', async (t) => {
+  const options = {configJson: testEjson, getPrivateKey: (publicKey) => keys[publicKey], schema: {}}
+  await assert.rejects(processEjson({...options, paths: ['test_secret']}), /schema cannot be combined with paths or lazy/)
+  await assert.rejects(processEjson({...options, lazy: true}), /schema cannot be combined with paths or lazy/)
+})
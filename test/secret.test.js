@@ -0,0 +1,44 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {inspect} from 'node:util'
+import {populateEnv, processEjson, Secret} from '../ejson.js'
+import testEjson from './test.json' with {type: 'json'}
+import {keys} from './helpers.js'
+
+test('Secret hides its value', (t) => {
+  const secret = new Secret('hunter2')
+  assert.equal(secret.reveal(), 'hunter2')
+  assert.equal(String(secret), '[REDACTED]')
+  assert.equal(`${secret}`, '[REDACTED]')
+  assert.equal(JSON.stringify({secret}), '{"secret":"[REDACTED]"}')
+  assert.equal(inspect({secret}), '{ secret: [REDACTED] }')
+  assert.doesNotMatch(inspect(secret, {showHidden: true}), /hunter2/)
+})
+
+test('wrapSecrets returns decrypted values as Secret instances', async (t) => {
+  const config = await processEjson({
+    configJson: testEjson,
+    getPrivateKey: (publicKey) => keys[publicKey],
+    wrapSecrets: true
+  })
+  assert.ok(config.test_secret instanceof Secret)
+  assert.equal(config.test_secret.reveal(), 'Hello World!')
+  assert.equal(config.nested.test_secret.reveal(), 'Hello World!')
+  assert.equal(config.test_unencrypted, 'boom')
+  assert.doesNotMatch(inspect(config, {depth: null}), /Hello World/)
+  assert.doesNotMatch(JSON.stringify(config), /Hello World/)
+})
+
+test('wrapped secrets work with lazy decryption and schemas', async (t) => {
+  const options = {configJson: testEjson, getPrivateKey: (publicKey) => keys[publicKey], wrapSecrets: true}
+  const lazy = await processEjson({...options, lazy: true})
+  assert.equal(lazy.test_secret.reveal(), 'Hello World!')
+  const validated = await processEjson({...options, schema: {properties: {test_secret: {type: 'string', pattern: '^Hello'}}}})
+  assert.equal(validated.test_secret.reveal(), 'Hello World!')
+})
+
+test('populateEnv reveals secrets', (t) => {
+  const env = {}
+  populateEnv({API_KEY: new Secret('secret')}, {env})
+  assert.deepEqual(env, {API_KEY: 'secret'})
+})
@@ -0,0 +1,92 @@
+import {test} from 'node:test'
+import assert from 'node:assert/strict'
+import {Readable} from 'node:stream'
+import {decryptStream, EjsonDecryptionError, EjsonParseError, encryptEjson, generateKeyPair} from '../ejson.js'
+import {createRecordSplitter} from '../lib/records.js'
+
+const tenants = [generateKeyPair(), generateKeyPair()]
+const keys = Object.fromEntries(tenants.map(({publicKey, privateKey}) => [publicKey, privateKey]))
+
+const records = [
+  encryptEjson({_public_key: tenants[0].publicKey, tenant: 'a', secret: 'first, with "quotes" and ] brackets'}),
+  encryptEjson({_public_key: tenants[1].publicKey, tenant: 'b', secret: 'second ✓', nested: {list: ['x']}}),
+  encryptEjson({_public_key: tenants[0].publicKey, tenant: 'c', secret: 'third'})
+]
+
+const decryptChunks = (chunks, config = {}) => {
+  const stream = decryptStream({getPrivateKey: (publicKey) => keys[publicKey], ...config})
+  Readable.from(chunks).pipe(stream)
+  return stream.toArray()
+}
+
+// Splits the input into small byte chunks, cutting through records and multi-byte characters.
+const chunked = (text, size = 7) => {
+  const bytes = Buffer.from(text)
+  const chunks = []
+  for (let i = 0; i < bytes.length; i += size) {
+    chunks.push(bytes.subarray(i, i + size))
+  }
+  return chunks
+}
+
+const split = (chunks) => {
+  const splitter = createRecordSplitter()
+  return [...chunks.flatMap((chunk) => splitter.push(chunk)), ...splitter.end()]
+}
+
+test('splits newline-delimited records', (t) => {
+  assert.deepEqual(split(['{"a":1}\n{"b"', ':2}\r\n\n{"c":3}']), ['{"a":1}', '{"b":2}\r', '{"c":3}'])
+})
+
+test('splits the elements of a top-level array', (t) => {
+  assert.deepEqual(split([' [{"a":"x,]}\\""}', ', {"b":[1,', '2]}', ' ] ']), ['{"a":"x,]}\\""}', '{"b":[1,2]}'])
+  assert.deepEqual(split(['[]']), [])
+  assert.deepEqual(split(['[1,]']), ['1', ''])
+})
+
+test('rejects incomplete or trailing array input', (t) => {
+  assert.throws(() => split(['[{"a":1}']), EjsonParseError)
+  assert.throws(() => split(['[{"a":1}] {}']), EjsonParseError)
+})
+
+test('decrypts NDJSON records with their own keys', async (t) => {
+  const ndjson = records.map((record) => JSON.stringify(record)).join('\n') + '\n'
+  const result = await decryptChunks(chunked(ndjson))
+  assert.deepEqual(result.map((record) => record.secret), ['first, with "quotes" and ] brackets', 'second ✓', 'third'])
+  assert.deepEqual(result[1].nested, {list: ['x']})
+  assert.equal(result[0].public_key, tenants[0].publicKey)
+})
+
+test('decrypts the elements of a top-level array', async (t) => {
+  const result = await decryptChunks(chunked(JSON.stringify(records, null, 2)))
+  assert.deepEqual(result.map((record) => record.tenant), ['a', 'b', 'c'])
+  assert.equal(result[2].secret, 'third')
+})
+
+test('looks up each key once', async (t) => {
+  const lookups = []
+  const stream = decryptStream({
+    getPrivateKey: (publicKey) => {
+      lookups.push(publicKey)
+      return keys[publicKey]
+    }
+  })
+  Readable.from(records.map((record) => JSON.stringify(record) + '\n')).pipe(stream)
+  await stream.toArray()
+  assert.deepEqual(lookups, [tenants[0].publicKey, tenants[1].publicKey])
+})
+
+test('errors name the record', async (t) => {
+  const broken = {...records[1], secret: 'EJ[1:broken]'}
+  await assert.rejects(decryptChunks([records[0], broken].map((record) => JSON.stringify(record) + '\n')), (e) => {
+    assert.ok(e instanceof EjsonDecryptionError)
+    assert.equal(e.path, '1.secret')
+    return true
+  })
+  await assert.rejects(decryptChunks(['{"a":1}\n', 'nope\n']), (e) => {
+    assert.ok(e instanceof EjsonParseError)
+    assert.equal(e.path, '1')
+    return true
+  })
+  await assert.rejects(decryptChunks(['[1]']), /Record 0 is not an object/)
+})
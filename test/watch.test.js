@@ -0,0 +1,106 @@
+import {after, before, test} from 'node:test'
+import assert from 'node:assert/strict'
+import * as fs from 'node:fs/promises'
+import * as os from 'node:os'
+import * as path from 'node:path'
+import {execFile} from 'node:child_process'
+import {promisify} from 'node:util'
+import {encryptEjson, watchEjson} from '../ejson.js'
+import {diffPaths} from '../lib/watch.js'
+import {privateKey, publicKey} from './helpers.js'
+
+let dir
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'node-ejson-'))
+})
+after(async () => {
+  await fs.rm(dir, {recursive: true, force: true})
+})
+
+const writeConfig = (file, doc) => fs.writeFile(file, JSON.stringify(encryptEjson({_public_key: publicKey, ...doc})))
+
+const nextCall = () => {
+  let resolve
+  const promise = new Promise((r) => {
+    resolve = r
+  })
+  return {promise, callback: (...args) => resolve(args)}
+}
+
+test('diffPaths lists changed paths without values', (t) => {
+  assert.deepEqual(diffPaths(
+    {a: 'same', b: 'old', c: 'removed', nested: {d: 1}},
+    {a: 'same', b: 'new', nested: {d: 2, e: true}}
+  ), [
+    {path: 'b', change: 'changed'},
+    {path: 'c', change: 'removed'},
+    {path: 'nested.d', change: 'changed'},
+    {path: 'nested.e', change: 'added'}
+  ])
+})
+
+test('watchEjson reloads the config when the file changes', async (t) => {
+  const file = path.join(dir, 'watched.ejson')
+  await writeConfig(file, {secret: 'first', plain: 1})
+  const change = nextCall()
+  const watcher = await watchEjson({
+    envFilePath: file,
+    getPrivateKey: () => privateKey,
+    watchDebounceMs: 20
+  }, change.callback)
+  t.after(watcher.close)
+  assert.equal(watcher.config.secret, 'first')
+
+  await writeConfig(file, {secret: 'second', plain: 1})
+  const [config, changes] = await change.promise
+  assert.equal(config.secret, 'second')
+  assert.deepEqual(changes, [{path: 'secret', change: 'changed'}])
+  assert.equal(watcher.config.secret, 'second')
+})
+
+test('watchEjson keeps the previous config when reloading fails', async (t) => {
+  const file = path.join(dir, 'failing.ejson')
+  await writeConfig(file, {secret: 'good'})
+  const failure = nextCall()
+  const watcher = await watchEjson({
+    envFilePath: file,
+    getPrivateKey: () => privateKey,
+    watchDebounceMs: 20
+  }, () => assert.fail('should not change'), failure.callback)
+  t.after(watcher.close)
+
+  await fs.writeFile(file, '{"secret": ')
+  const [error] = await failure.promise
+  assert.equal(error.name, 'EjsonParseError')
+  assert.equal(watcher.config.secret, 'good')
+})
+
+// Runs in a child process, as errors thrown by the callbacks are uncaught exceptions.
+const throwingCallbacks = `
+import * as fs from 'node:fs/promises'
+import {encryptEjson, watchEjson} from 'node-ejson'
+const [file, publicKey, privateKey] = process.argv.slice(1)
+const write = (secret) => fs.writeFile(file, JSON.stringify(encryptEjson({_public_key: publicKey, secret})))
+await write('first')
+const watcher = await watchEjson({envFilePath: file, getPrivateKey: () => privateKey, watchDebounceMs: 20}, (config) => {
+  throw new Error('onChange failed: ' + config.secret)
+}, (error) => {
+  throw new Error('onError failed: ' + error.name)
+})
+const steps = [() => fs.writeFile(file, '{"secret": '), () => write('third'), () => watcher.close()]
+process.on('uncaughtException', (e) => {
+  console.log(e.message)
+  steps.shift()()
+})
+await write('second')
+`
+
+test('watchEjson reports errors thrown by its callbacks and keeps reloading', async (t) => {
+  const file = path.join(dir, 'throwing.ejson')
+  const {stdout} = await promisify(execFile)(
+    process.execPath,
+    ['--input-type=module', '-e', throwingCallbacks, file, publicKey, privateKey],
+    {cwd: path.join(import.meta.dirname, '..'), timeout: 10000}
+  )
+  assert.equal(stdout, 'onChange failed: second\nonError failed: EjsonParseError\nonChange failed: third\n')
+})